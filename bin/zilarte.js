@@ -0,0 +1,833 @@
+#!/usr/bin/env node
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const jpeg = require("jpeg-js");
+const { PNG } = require("pngjs");
+
+const RasterCanvas = require("../rasterCanvas.js");
+const ThreadingSingle = require("../threadingSingle.js");
+const InstructionSheet = require("../instructionSheet.js");
+const ProjectFile = require("../projectFile.js");
+const Comparison = require("../comparison.js");
+const MotionFile = require("../motionFile.js");
+const ImageIntake = require("../imageIntake.js");
+
+ThreadingSingle.canvasFactory = (width, height) => new RasterCanvas(width, height);
+
+const USAGE = `Uso:
+  zilarte generate <imagen> [opciones]
+  zilarte render <proyecto.json> [opciones]
+  zilarte calibrate <proyecto.json> --photo <foto> [--image <imagen>]
+  zilarte compare <imagen> [opciones]
+  zilarte motion <proyecto.json> [opciones]
+
+generate calcula el camino del hilo y guarda también project.json, con la imagen recortada incluida.
+render vuelve a crear los archivos a partir de un proyecto sin recalcularlo, o sigue generando si
+--lines pide más líneas de las que tiene.
+calibrate compara el proyecto con una foto de la pieza tejida, de frente y recortada al marco, y da el
+ajuste del hilo (--spread) con el que la simulación oscurece como el hilo real. Solo en monocromo.
+compare genera la imagen con varios productos, o con una rejilla de clavos × líneas × grosor, con el mismo
+recorte y la misma semilla, y recomienda el de menor error percibido o, si varios se acercan, el más
+rápido de tejer. Guarda comparison.json y comparison.png con las vistas previas en ese orden.
+motion escribe el recorrido de una máquina de tejer con un anillo giratorio que sujeta el marco y un brazo
+que se mueve a lo largo de un radio: weave.gcode, con el anillo en el eje A en grados y el brazo en el eje X
+en mm desde el centro, o weave.csv con los pasos absolutos de los dos motores. Los extremos de cada hilo
+son pausas para atarlo a mano.
+
+Opciones de generate:
+  --product <nombre>     Producto de products.json (por defecto, el primero)
+  --products <archivo>   Catálogo de productos (por defecto, products.json del proyecto)
+  --crop <x,y,ancho>     Recorte en píxeles de la imagen, con la proporción del marco
+                         (por defecto, el mayor centrado)
+  --lines <n>            Número de líneas (por defecto, el del producto)
+  --seed <n>             Semilla para repetir una generación (por defecto, aleatoria)
+  --mode <modo>          monochrome, rgb o palette (por defecto, el del producto)
+  --palette <colores>    Hilos para el modo palette, p. ej. "#000000,#ffffff,#c68863"
+  --board <color>        Color del tablero para el modo palette (por defecto, #ffffff)
+  --mask <imagen>        Máscara de importancia en escala de grises sobre toda la imagen: gris medio
+                         neutro, más claro para dar más hilo a una zona y más oscuro para darle menos
+  --adjust <ajustes>     Ajustes de imagen antes de calcular, p. ej. "contrast=0.3,gamma=1.2,equalize"
+                         (brightness, contrast, gamma, equalize, sharpen, edges, vignette,
+                         flattenBackground)
+  --refine <segundos>    Refina el resultado durante ese tiempo como máximo, cambiando segmentos para
+                         bajar el error sin cambiar su número
+  --stop <modo>          lines para al llegar a --lines; convergence para antes si el error deja de
+                         bajar (por defecto, lines)
+  --distance <mm>        Distancia de visión para el error percibido (por defecto, 2000)
+  --thread-mm <mm>       Diámetro real del hilo, que con el ancho del marco da el grosor de las líneas
+                         (por defecto, el del producto; sin él, el grosor del producto)
+  --spread <factor>      Ajuste del hilo hallado con calibrate (por defecto, el del producto o 1)
+  --out <carpeta>        Carpeta de salida (por defecto, la actual)
+  --size <px>            Tamaño de la vista previa PNG (por defecto, 1000)
+  --width-mm <mm>        Ancho real del marco para la plantilla SVG, el error percibido y la longitud
+                         del hilo (por defecto, el del producto o 500)
+  --directions <sí|no>   Indica en las instrucciones el sentido en que el hilo rodea cada clavo
+                         (por defecto, no)
+  --min-skip <%>         Separación mínima entre los dos clavos de una cuerda, en % del contorno del
+                         marco (por defecto, 6.25)
+  --history <n>          Pasos en los que un hilo no vuelve a un mismo clavo (por defecto, 20)
+  --max-passes <n>       Veces que se puede usar una misma cuerda (por defecto, sin límite)
+  --max-wraps <n>        Vueltas que puede dar el hilo a un mismo clavo (por defecto, sin límite)
+  --max-length <%>       Longitud máxima de una cuerda, en % del ancho del marco (por defecto, sin límite)
+
+Opciones de render:
+  --image <imagen>       Imagen original, si el proyecto no la incluye
+  --lines, --refine, --stop, --distance, --out, --size, --width-mm, --directions   Como en generate
+
+Opciones de compare:
+  --product <nombres>    Productos a comparar separados por comas (por defecto, todos); con una rejilla,
+                         el producto de partida (por defecto, el primero)
+  --pegs <lista>         Números de clavos de la rejilla, p. ej. "200,240"
+  --lines <lista>        Números de líneas de la rejilla, p. ej. "2000,2500,3000"
+  --thickness <lista>    Grosores de línea de la rejilla, p. ej. "0.017,0.02"
+  --size <px>            Tamaño de cada vista previa (por defecto, 400)
+  --products, --crop, --seed, --mask, --adjust, --distance, --out   Como en generate
+  --width-mm, --thread-mm, --spread   Como en generate, para todos los productos
+  --min-skip, --history, --max-passes, --max-wraps, --max-length      Como en generate
+
+Opciones de motion:
+  --format <formato>     gcode o steps (por defecto, gcode)
+  --width-mm <mm>        Ancho real del marco (por defecto, el del proyecto)
+  --arm-angle <grados>   Posición del brazo, en grados desde la derecha del dibujo en sentido horario
+                         (por defecto, 0)
+  --ring-direction <n>   1 si un giro positivo del eje A gira el marco en sentido antihorario tal como se
+                         dibuja, -1 si lo gira en sentido horario (por defecto, 1)
+  --clearance <mm>       Distancia a la que el brazo pasa por dentro y por fuera de los clavos (por
+                         defecto, 6)
+  --wrap-angle <grados>  Giro del anillo a cada lado del clavo al rodearlo (por defecto, la mitad del
+                         espacio entre clavos)
+  --ring-feed <n>        Velocidad del anillo en grados por minuto (por defecto, 3600)
+  --arm-feed <n>         Velocidad del brazo en mm por minuto (por defecto, 1500)
+  --steps-deg <n>        Pasos del motor del anillo por grado, para steps (por defecto, 3200 / 360)
+  --steps-mm <n>         Pasos del motor del brazo por mm, para steps (por defecto, 80)
+  --image, --out         Como en render
+`;
+
+const PREVIEW_SIZE = 1000;
+const SHEET_PREVIEW_SIZE = 300;
+const COMPARISON_PREVIEW_SIZE = 400;
+const COMPARISON_COLUMNS = 4;
+const STEP_DURATION_MS = 1000;
+const REFINE_STEP_DURATION_MS = 1000;
+
+function parseArguments(argv) {
+  const [command, ...rest] = argv;
+  const options = { command, positional: [] };
+
+  for (let i = 0; i < rest.length; i++) {
+    const argument = rest[i];
+
+    if (argument.startsWith("--")) {
+      const [name, inlineValue] = argument.slice(2).split("=", 2);
+      const value = inlineValue ?? rest[++i];
+      if (value === undefined) {
+        throw new Error(`Falta el valor de --${name}`);
+      }
+      options[name] = value;
+    } else {
+      options.positional.push(argument);
+    }
+  }
+
+  return options;
+}
+
+function loadProduct(catalogPath, name) {
+  const products = JSON.parse(fs.readFileSync(catalogPath, "utf8"));
+  return findProduct(products, name);
+}
+
+function findProduct(products, name) {
+  if (!name) {
+    return products[0];
+  }
+
+  const product = products.find((candidate) => candidate.name.toLowerCase() === name.toLowerCase());
+  if (!product) {
+    const names = products.map((candidate) => candidate.name).join(", ");
+    throw new Error(`Producto desconocido "${name}". Disponibles: ${names}`);
+  }
+
+  return product;
+}
+
+function decodeImage(file) {
+  return decodeImageBuffer(fs.readFileSync(file), file);
+}
+
+function decodeImageBuffer(buffer, name) {
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    const png = PNG.sync.read(buffer);
+    return fitImage({ width: png.width, height: png.height, data: new Uint8ClampedArray(png.data) });
+  }
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    const image = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true });
+    // Photos stored sideways are turned upright, as the page does
+    const exif = ImageIntake.readOrientation(buffer);
+    return fitImage(
+      ImageIntake.orientPixels(
+        { width: image.width, height: image.height, data: new Uint8ClampedArray(image.data) },
+        exif && exif.orientation
+      )
+    );
+  }
+
+  throw new Error(`Formato de imagen no soportado: ${name} (se aceptan PNG y JPEG)`);
+}
+
+// Brought down to the size the page keeps of a loaded image, so that the crop of a project from the page means the
+// same pixels. One draw is enough here, RasterCanvas averages the whole area of each pixel.
+function fitImage(image) {
+  const fitted = ImageIntake.fitSize(image.width, image.height);
+  if (fitted.width === image.width && fitted.height === image.height) {
+    return image;
+  }
+
+  const canvas = new RasterCanvas(fitted.width, fitted.height);
+  canvas.getContext("2d").drawImage(RasterCanvas.fromImageData(image), 0, 0, fitted.width, fitted.height);
+  return { width: canvas.width, height: canvas.height, data: canvas.data };
+}
+
+// One value per pixel, the grey level of the mask image
+function decodeMask(file) {
+  const image = decodeImage(file);
+  const data = new Uint8Array(image.width * image.height);
+
+  for (let i = 0; i < data.length; i++) {
+    data[i] = Math.round((image.data[4 * i] + image.data[4 * i + 1] + image.data[4 * i + 2]) / 3);
+  }
+
+  return { width: image.width, height: image.height, data };
+}
+
+function encodePng(image) {
+  const png = new PNG({ width: image.width, height: image.height });
+  png.data = Buffer.from(image.data.buffer, image.data.byteOffset, image.data.byteLength);
+  return PNG.sync.write(png);
+}
+
+// Downscaled so that neither side exceeds maxSide
+function cropImage(image, rectangle, maxSide) {
+  const scale = Math.min(1, maxSide / Math.max(rectangle.width, rectangle.height));
+  const canvas = new RasterCanvas(
+    Math.max(1, Math.round(scale * rectangle.width)),
+    Math.max(1, Math.round(scale * rectangle.height))
+  );
+  canvas
+    .getContext("2d")
+    .drawImage(
+      RasterCanvas.fromImageData(image),
+      rectangle.x,
+      rectangle.y,
+      rectangle.width,
+      rectangle.height,
+      0,
+      0,
+      canvas.width,
+      canvas.height
+    );
+  return canvas;
+}
+
+function parseCrop(text, image, aspectRatio) {
+  if (!text) {
+    const width = Math.floor(Math.min(image.width, image.height * aspectRatio));
+    const height = Math.round(width / aspectRatio);
+    return {
+      origin: { x: Math.floor((image.width - width) / 2), y: Math.floor((image.height - height) / 2) },
+      size: { width, height },
+    };
+  }
+
+  const values = text.split(",").map(Number);
+  if (values.length !== 3 || !values.every(Number.isFinite)) {
+    throw new Error(`Recorte no válido "${text}", se espera x,y,ancho`);
+  }
+
+  return { origin: { x: values[0], y: values[1] }, size: { width: values[2], height: values[2] / aspectRatio } };
+}
+
+function parseSeed(text) {
+  const value = Number(text);
+  if (!Number.isInteger(value) || value < 0 || value >= 2 ** 32) {
+    throw new Error("--seed debe ser un entero entre 0 y 4294967295");
+  }
+  return value;
+}
+
+// "contrast=0.3,equalize": a bare name turns a boolean adjustment on
+function parseAdjustments(text) {
+  const defaults = ThreadingSingle.Preprocessor.DEFAULTS;
+  const adjustments = {};
+
+  for (const entry of text.split(",").map((part) => part.trim()).filter(Boolean)) {
+    const [name, value] = entry.split("=", 2).map((part) => part.trim());
+    if (!(name in defaults)) {
+      throw new Error(`Ajuste desconocido "${name}". Disponibles: ${Object.keys(defaults).join(", ")}`);
+    }
+
+    if (typeof defaults[name] === "boolean") {
+      if (value !== undefined && value !== "true" && value !== "false") {
+        throw new Error(`--adjust: ${name} es sí o no (${name}, ${name}=true o ${name}=false)`);
+      }
+      adjustments[name] = value !== "false";
+    } else {
+      const number = Number(value);
+      if (value === undefined || value === "" || !Number.isFinite(number)) {
+        throw new Error(`--adjust: ${name} necesita un valor numérico`);
+      }
+      adjustments[name] = number;
+    }
+  }
+
+  return ThreadingSingle.Preprocessor.isNeutral(adjustments) ? null : adjustments;
+}
+
+function parseYesNo(text, name) {
+  const value = text.toLowerCase();
+  if (["sí", "si", "yes", "true"].includes(value)) {
+    return true;
+  }
+  if (["no", "false"].includes(value)) {
+    return false;
+  }
+  throw new Error(`--${name} debe ser sí o no`);
+}
+
+function parsePositiveNumber(text, name) {
+  const value = Number(text);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new Error(`--${name} debe ser un número positivo`);
+  }
+  return value;
+}
+
+// The real thread, as parameter overrides
+function parseThreadOptions(options) {
+  const overrides = {};
+
+  if (options["thread-mm"] !== undefined) {
+    overrides.threadDiameterMm = parsePositiveNumber(options["thread-mm"], "thread-mm");
+  }
+  if (options.spread !== undefined) {
+    overrides.threadSpread = parsePositiveNumber(options.spread, "spread");
+  }
+
+  return overrides;
+}
+
+// The rules of the peg search, as parameter overrides
+function parseWeavingOptions(options) {
+  const overrides = {};
+
+  if (options["min-skip"] !== undefined) {
+    const percent = Number(options["min-skip"]);
+    if (!Number.isFinite(percent) || percent < 0 || percent >= 50) {
+      throw new Error("--min-skip debe ser un porcentaje entre 0 y 50");
+    }
+    overrides.minChordSkip = percent / 100;
+  }
+  if (options.history !== undefined) {
+    const history = Number(options.history);
+    if (!Number.isInteger(history) || history < 0) {
+      throw new Error("--history debe ser un entero no negativo");
+    }
+    overrides.historyLength = history;
+  }
+  if (options["max-passes"] !== undefined) {
+    overrides.maxChordPasses = parsePositiveInteger(options["max-passes"], "max-passes");
+  }
+  if (options["max-wraps"] !== undefined) {
+    overrides.maxPegWraps = parsePositiveInteger(options["max-wraps"], "max-wraps");
+  }
+  if (options["max-length"] !== undefined) {
+    overrides.maxChordLength = parsePositiveNumber(options["max-length"], "max-length") / 100;
+  }
+
+  return overrides;
+}
+
+// The history has to leave a peg to go to from every peg of the frame, besides those --min-skip rules out
+function checkWeavingRules(threadingOptions) {
+  const reachable = ThreadingSingle.reachablePegs(threadingOptions);
+  if (reachable === 0) {
+    throw new Error("--min-skip no deja ningún clavo al que llevar el hilo");
+  }
+  const { historyLength } = { ...ThreadingSingle.DEFAULT_OPTIONS, ...threadingOptions };
+  if (historyLength > reachable) {
+    throw new Error(`--history debe ser como máximo ${reachable} con este marco y este --min-skip`);
+  }
+}
+
+function parsePositiveInteger(text, name) {
+  const value = Number(text);
+  if (!Number.isInteger(value) || value <= 0) {
+    throw new Error(`--${name} debe ser un entero positivo`);
+  }
+  return value;
+}
+
+const STOP_MODES = ["lines", "convergence"];
+
+// The options that only tell when to stop and how the error is perceived, as parameter overrides
+function parseMetricOptions(options) {
+  const overrides = {};
+
+  if (options.stop !== undefined) {
+    if (!STOP_MODES.includes(options.stop)) {
+      throw new Error(`--stop debe ser ${STOP_MODES.join(" o ")}`);
+    }
+    overrides.stopMode = options.stop;
+  }
+  if (options.distance !== undefined) {
+    overrides.viewingDistanceMm = parsePositiveInteger(options.distance, "distance");
+  }
+  if (options["width-mm"] !== undefined) {
+    overrides.frameWidthMm = parsePositiveInteger(options["width-mm"], "width-mm");
+  }
+
+  return overrides;
+}
+
+function renderPreview(threading, size) {
+  return encodePng(renderPreviewCanvas(threading, size));
+}
+
+function renderPreviewCanvas(threading, size) {
+  const canvas = new RasterCanvas(size, size);
+  const context = canvas.getContext("2d");
+
+  const plotter = new ThreadingSingle.CanvasPlotter(context);
+  plotter.clear(threading.backgroundColor);
+  threading.drawThread(plotter, 0);
+
+  return canvas;
+}
+
+const THREAD_MODES = ["monochrome", "rgb", "palette"];
+
+function generate(options) {
+  const [imagePath] = options.positional;
+  if (!imagePath) {
+    throw new Error("Falta la imagen de entrada");
+  }
+
+  const catalogPath = options.products || path.join(__dirname, "..", "products.json");
+  const product = loadProduct(catalogPath, options.product);
+  const productOptions = ThreadingSingle.productOptions(product);
+  if (options.palette) {
+    productOptions.mode = "palette";
+    productOptions.palette = options.palette.split(",").map((color) => color.trim());
+  }
+  if (options.board) {
+    productOptions.boardColor = options.board;
+  }
+  if (options.mode) {
+    if (!THREAD_MODES.includes(options.mode)) {
+      throw new Error("--mode debe ser monochrome, rgb o palette");
+    }
+    if (options.mode === "palette" && !productOptions.palette) {
+      throw new Error("--mode palette necesita los colores de --palette o de un producto que los tenga");
+    }
+    productOptions.mode = options.mode;
+  }
+  const image = decodeImage(imagePath);
+  const crop = parseCrop(options.crop, image, ThreadingSingle.frameAspectRatio(productOptions));
+
+  const threadingOptions = {
+    ...productOptions,
+    nbLines: options.lines ? parsePositiveInteger(options.lines, "lines") : productOptions.nbLines,
+    cropOrigin: crop.origin,
+    cropSize: crop.size,
+    seed: options.seed === undefined ? null : parseSeed(options.seed),
+    importanceMask: options.mask ? decodeMask(options.mask) : null,
+    preprocessing: options.adjust ? parseAdjustments(options.adjust) : null,
+    ...parseMetricOptions(options),
+    ...parseThreadOptions(options),
+    ...parseWeavingOptions(options),
+  };
+  checkWeavingRules(threadingOptions);
+
+  const threading = new ThreadingSingle(image, threadingOptions);
+  const startTime = Date.now();
+  computeAll(threading);
+  const refinement = options.refine ? refineAll(threading, parsePositiveInteger(options.refine, "refine")) : null;
+
+  const embedded = cropImage(image, threading.computeCropRectangle(), ProjectFile.EMBEDDED_IMAGE_MAX_SIDE);
+  const project = ProjectFile.create(threading, {
+    product: product.name,
+    image: `data:image/png;base64,${encodePng(embedded).toString("base64")}`,
+  });
+  writeOutputs(threading, project, options, {
+    image: path.resolve(imagePath),
+    durationMs: Date.now() - startTime,
+    refinement,
+  });
+}
+
+// The project of the first positional argument and its source image, from --image or embedded
+function loadProject(options) {
+  const [projectPath] = options.positional;
+  if (!projectPath) {
+    throw new Error("Falta el archivo de proyecto");
+  }
+
+  let project;
+  try {
+    project = ProjectFile.parse(fs.readFileSync(projectPath, "utf8"));
+  } catch (e) {
+    throw new Error(`No se pudo leer el proyecto ${projectPath}: ${e.message}`);
+  }
+
+  let image;
+  let fromEmbeddedImage = false;
+  if (options.image) {
+    image = decodeImage(options.image);
+  } else if (project.image) {
+    const match = /^data:image\/(?:png|jpeg);base64,(.*)$/.exec(project.image);
+    if (!match) {
+      throw new Error("La imagen incluida en el proyecto no es PNG ni JPEG");
+    }
+    image = decodeImageBuffer(Buffer.from(match[1], "base64"), projectPath);
+    fromEmbeddedImage = true;
+  } else {
+    throw new Error("El proyecto no incluye la imagen: indica la original con --image");
+  }
+
+  return { project, image, fromEmbeddedImage };
+}
+
+function render(options) {
+  const { project, image, fromEmbeddedImage } = loadProject(options);
+  const overrides = parseMetricOptions(options);
+  if (options.lines) {
+    overrides.nbLines = parsePositiveInteger(options.lines, "lines");
+  }
+  const threading = ProjectFile.restore(project, image, { fromEmbeddedImage, overrides });
+
+  const startTime = Date.now();
+  computeAll(threading);
+  const refinement = options.refine ? refineAll(threading, parsePositiveInteger(options.refine, "refine")) : null;
+
+  const updated = ProjectFile.create(threading, { product: project.product, image: project.image });
+  writeOutputs(threading, updated, options, {
+    image: options.image ? path.resolve(options.image) : null,
+    durationMs: Date.now() - startTime,
+    refinement,
+  });
+}
+
+function computeAll(threading) {
+  while (threading.computeNextSegments(STEP_DURATION_MS)) {
+    process.stderr.write(`\r${threading.nbSegments} / ${threading.parameters.nbLines} segmentos`);
+  }
+  threading.computeError();
+  process.stderr.write(`\n`);
+}
+
+// Refines for at most seconds, stopping early once a whole pass finds nothing to improve
+function refineAll(threading, seconds) {
+  const deadline = Date.now() + 1000 * seconds;
+  const refinement = { before: threading.error, after: threading.error, moves: 0, converged: false };
+
+  while (!refinement.converged && Date.now() < deadline) {
+    const report = threading.refine(Math.min(REFINE_STEP_DURATION_MS, deadline - Date.now()));
+    refinement.after = report.after;
+    refinement.moves += report.moves;
+    refinement.converged = report.converged;
+    const change = `${refinement.before.meanSquare} → ${refinement.after.meanSquare}`;
+    process.stderr.write(`\rRefinado: error ${change} (${refinement.moves} cambios)`);
+  }
+  process.stderr.write(`\n`);
+
+  return refinement;
+}
+
+function writeOutputs(threading, project, options, { image, durationMs, refinement = null }) {
+  const outputDirectory = options.out || ".";
+  const directions = parseYesNo(options.directions ?? "no", "directions");
+
+  fs.mkdirSync(outputDirectory, { recursive: true });
+  fs.writeFileSync(
+    path.join(outputDirectory, "instructions.txt"),
+    `${threading.formatInstructions({ directions })}\n`
+  );
+  fs.writeFileSync(
+    path.join(outputDirectory, "preview.png"),
+    renderPreview(threading, options.size ? parsePositiveInteger(options.size, "size") : PREVIEW_SIZE)
+  );
+
+  const widthMm = threading.parameters.frameWidthMm;
+  const sheet = new InstructionSheet(threading, {
+    productName: project.product,
+    frameWidthMm: widthMm,
+    directions,
+    previewUrl: `data:image/png;base64,${renderPreview(threading, SHEET_PREVIEW_SIZE).toString("base64")}`,
+  });
+  fs.writeFileSync(path.join(outputDirectory, "instructions.html"), sheet.toHtml());
+  fs.writeFileSync(path.join(outputDirectory, "template.svg"), threading.exportSvg({ widthMm, pegNumbers: true }));
+  fs.writeFileSync(path.join(outputDirectory, "project.json"), ProjectFile.stringify(project));
+
+  // Steps that break the rules of the search, by rule, when no peg kept to the limits
+  const ruleViolations = {};
+  for (const { rule } of threading.validateSequences(threading.exportThread().sequences)) {
+    ruleViolations[rule] = (ruleViolations[rule] || 0) + 1;
+  }
+
+  const summary = {
+    image,
+    product: project.product,
+    seed: threading.parameters.seed,
+    crop: threading.computeCropRectangle(),
+    parameters: threading.parameters,
+    pegs: threading.pegs.length,
+    segments: threading.nbSegments,
+    error: threading.error,
+    perceptualError: threading.perceptualError,
+    errorHistory: threading.errorHistory,
+    threadUsage: threading.computeThreadUsage(),
+    ruleViolations,
+    refinement,
+    durationMs,
+  };
+  fs.writeFileSync(path.join(outputDirectory, "summary.json"), `${JSON.stringify(summary, null, 2)}\n`);
+
+  console.log(`${project.product}: ${threading.nbSegments} segmentos en ${outputDirectory} (semilla ${summary.seed})`);
+  console.log(
+    `Hilo: ${InstructionSheet.formatLength(summary.threadUsage.lengthMm)}, ` +
+      `unas ${InstructionSheet.formatDuration(summary.threadUsage.weavingSeconds)} de tejido`
+  );
+  const broken = Object.entries(ruleViolations).map(([rule, count]) => `${rule}: ${count}`);
+  if (broken.length) {
+    console.log(`Pasos que no cumplen las reglas de tejido: ${broken.join(", ")}`);
+  }
+}
+
+// Prints the thread spread that makes the project look like the photo of the piece woven from it
+function calibrate(options) {
+  if (!options.photo) {
+    throw new Error("Falta la foto de la pieza tejida: indícala con --photo");
+  }
+
+  const { project, image, fromEmbeddedImage } = loadProject(options);
+  const threading = ProjectFile.restore(project, image, { fromEmbeddedImage });
+  const calibration = threading.calibrateThreadSpread(decodeImage(options.photo));
+
+  console.log(`Ajuste del hilo: ${calibration.threadSpread} (diferencia media ${calibration.error})`);
+  console.log(`Genera con --spread ${calibration.threadSpread} o añade "threadSpread" al producto para aplicarlo`);
+}
+
+// The machine options of motion, as MotionFile options
+function parseMotionOptions(options) {
+  const motion = {};
+  const positive = {
+    "width-mm": "frameWidthMm",
+    clearance: "clearanceMm",
+    "wrap-angle": "wrapAngleDeg",
+    "ring-feed": "ringFeed",
+    "arm-feed": "armFeed",
+    "steps-deg": "stepsPerDegree",
+    "steps-mm": "stepsPerMm",
+  };
+
+  for (const [name, key] of Object.entries(positive)) {
+    if (options[name] !== undefined) {
+      motion[key] = parsePositiveNumber(options[name], name);
+    }
+  }
+  if (options["arm-angle"] !== undefined) {
+    motion.armAngleDeg = Number(options["arm-angle"]);
+    if (!Number.isFinite(motion.armAngleDeg)) {
+      throw new Error("--arm-angle debe ser un número de grados");
+    }
+  }
+  if (options["ring-direction"] !== undefined) {
+    if (!["1", "-1"].includes(options["ring-direction"])) {
+      throw new Error("--ring-direction debe ser 1 o -1");
+    }
+    motion.ringDirection = Number(options["ring-direction"]);
+  }
+
+  return motion;
+}
+
+// Writes the toolpath of the weaving machine for a project
+function motion(options) {
+  const format = options.format ?? "gcode";
+  if (!["gcode", "steps"].includes(format)) {
+    throw new Error("--format debe ser gcode o steps");
+  }
+
+  const { project, image, fromEmbeddedImage } = loadProject(options);
+  const threading = ProjectFile.restore(project, image, { fromEmbeddedImage });
+  const motionFile = new MotionFile(threading, parseMotionOptions(options));
+
+  const outputDirectory = options.out || ".";
+  const fileName = format === "gcode" ? "weave.gcode" : "weave.csv";
+  fs.mkdirSync(outputDirectory, { recursive: true });
+  fs.writeFileSync(
+    path.join(outputDirectory, fileName),
+    format === "gcode" ? motionFile.toGcode() : motionFile.toSteps()
+  );
+
+  const pauses = motionFile.moves.filter((move) => move.pause).length;
+  console.log(
+    `${fileName}: ${motionFile.moves.length} movimientos y ${pauses} pausas, ` +
+      `unas ${InstructionSheet.formatDuration(motionFile.durationSeconds)} de máquina`
+  );
+}
+
+// "200,240" for a list option of compare
+function parseListOption(options, name) {
+  if (options[name] === undefined) {
+    return [];
+  }
+
+  const values = Comparison.parseList(options[name]);
+  if (!values || !values.length) {
+    throw new Error(`--${name} debe ser una lista de números positivos separados por comas`);
+  }
+  if (name !== "thickness" && !values.every(Number.isInteger)) {
+    throw new Error(`--${name} debe ser una lista de enteros positivos separados por comas`);
+  }
+  return values;
+}
+
+// Generates the image once per product or per point of the grid and recommends one of them
+function compare(options) {
+  const [imagePath] = options.positional;
+  if (!imagePath) {
+    throw new Error("Falta la imagen de entrada");
+  }
+
+  const catalogPath = options.products || path.join(__dirname, "..", "products.json");
+  const products = JSON.parse(fs.readFileSync(catalogPath, "utf8"));
+  const grid = {
+    pegs: parseListOption(options, "pegs"),
+    lines: parseListOption(options, "lines"),
+    thickness: parseListOption(options, "thickness"),
+  };
+  const isGrid = grid.pegs.length + grid.lines.length + grid.thickness.length > 0;
+  const names = options.product ? options.product.split(",").map((name) => name.trim()) : [];
+  if (isGrid && names.length > 1) {
+    throw new Error("Una rejilla parte de un solo producto: indica uno con --product");
+  }
+
+  const image = decodeImage(imagePath);
+  const baseProduct = findProduct(products, names[0]);
+  const productOptions = ThreadingSingle.productOptions(baseProduct);
+  const crop = parseCrop(options.crop, image, ThreadingSingle.frameAspectRatio(productOptions));
+  // The frame width or the thread given here are kept by every product
+  const overrides = { ...parseMetricOptions(options), ...parseThreadOptions(options) };
+  const base = {
+    cropOrigin: crop.origin,
+    cropSize: crop.size,
+    seed: options.seed === undefined ? null : parseSeed(options.seed),
+    importanceMask: options.mask ? decodeMask(options.mask) : null,
+    preprocessing: options.adjust ? parseAdjustments(options.adjust) : null,
+    ...overrides,
+    ...parseWeavingOptions(options),
+  };
+
+  let candidates;
+  try {
+    candidates = isGrid
+      ? Comparison.fromGrid({ ...productOptions, ...base }, grid)
+      : Comparison.fromProducts(
+          names.length ? names.map((name) => findProduct(products, name)) : products,
+          base,
+          overrides
+        );
+  } catch (e) {
+    if (!(e instanceof RangeError)) {
+      throw e;
+    }
+    throw new Error(`La rejilla tiene demasiadas combinaciones, el máximo es ${Comparison.MAX_CANDIDATES}`);
+  }
+  candidates.forEach((candidate) => checkWeavingRules(candidate.options));
+
+  const size = options.size ? parsePositiveInteger(options.size, "size") : COMPARISON_PREVIEW_SIZE;
+  const columns = Math.min(COMPARISON_COLUMNS, candidates.length);
+  const montage = new RasterCanvas(columns * size, Math.ceil(candidates.length / columns) * size);
+  montage.getContext("2d").fillStyle = "#ffffff";
+  montage.getContext("2d").fillRect(0, 0, montage.width, montage.height);
+
+  const results = candidates.map((candidate, index) => {
+    process.stderr.write(`${candidate.label}\n`);
+    const threading = new ThreadingSingle(image, candidate.options);
+    computeAll(threading);
+
+    const preview = renderPreviewCanvas(threading, size);
+    montage.getContext("2d").drawImage(preview, (index % columns) * size, Math.floor(index / columns) * size);
+    return {
+      label: candidate.label,
+      product: candidate.product,
+      seed: threading.parameters.seed,
+      parameters: {
+        pegsCount: threading.pegs.length,
+        nbLines: threading.parameters.nbLines,
+        lineThickness: threading.parameters.lineThickness,
+        frameWidthMm: threading.parameters.frameWidthMm,
+      },
+      ...Comparison.measure(threading),
+    };
+  });
+  const recommended = Comparison.recommend(results);
+
+  const outputDirectory = options.out || ".";
+  fs.mkdirSync(outputDirectory, { recursive: true });
+  fs.writeFileSync(path.join(outputDirectory, "comparison.png"), encodePng(montage));
+  fs.writeFileSync(
+    path.join(outputDirectory, "comparison.json"),
+    `${JSON.stringify({ image: path.resolve(imagePath), recommended, results }, null, 2)}\n`
+  );
+
+  results.forEach((result, index) => {
+    const mark = index === recommended ? "*" : " ";
+    console.log(
+      `${mark} ${result.label}: error percibido ${result.blurredMeanSquare}, SSIM ${result.ssim.toFixed(3)}, ` +
+        `hilo ${InstructionSheet.formatLength(result.lengthMm)}, ` +
+        `unas ${InstructionSheet.formatDuration(result.weavingSeconds)} de tejido`
+    );
+  });
+  console.log(`Recomendado: ${results[recommended].label}`);
+}
+
+function main() {
+  const options = parseArguments(process.argv.slice(2));
+
+  switch (options.command) {
+    case "generate":
+      generate(options);
+      break;
+    case "render":
+      render(options);
+      break;
+    case "calibrate":
+      calibrate(options);
+      break;
+    case "compare":
+      compare(options);
+      break;
+    case "motion":
+      motion(options);
+      break;
+    case undefined:
+    case "help":
+    case "--help":
+      process.stdout.write(USAGE);
+      break;
+    default:
+      throw new Error(`Comando desconocido "${options.command}"\n\n${USAGE}`);
+  }
+}
+
+try {
+  main();
+} catch (e) {
+  console.error(`Error: ${e.message}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,119 @@
+// One image generated with several sets of parameters, to choose a product for it: the products of the catalogue
+// or a grid of pegs × lines × thickness over some base options. Every candidate shares the crop and the seed so
+// that only the parameters differ, and the metrics of the results say which one to recommend.
+class Comparison {
+  // Results whose perceived error is within this fraction of the best one count as equally good, and the
+  // quickest of them to weave is recommended
+  static RECOMMENDATION_TOLERANCE = 0.03;
+  static MAX_CANDIDATES = 24;
+
+  // The options that come from the product, back to their defaults before applying another product
+  static PRODUCT_DEFAULTS = ["frameWidthMm", "wrapAllowanceMm", "threadDiameterMm", "threadSpread", "layers"];
+
+  // overrides are options the user set that every product keeps, e.g. a frame width of their own; the other
+  // options of PRODUCT_DEFAULTS are those of each product
+  static fromProducts(products, base = {}, overrides = {}) {
+    const seed = base.seed ?? ThreadingSingle.randomSeed();
+    const defaults = Object.fromEntries(
+      Comparison.PRODUCT_DEFAULTS.map((key) => [key, ThreadingSingle.DEFAULT_OPTIONS[key]])
+    );
+
+    return products.map((product) => ({
+      label: product.name,
+      product: product.name,
+      options: { ...base, ...defaults, ...ThreadingSingle.productOptions(product), ...overrides, seed },
+    }));
+  }
+
+  // The options of PRODUCT_DEFAULTS in options that differ from what product gives them, i.e. that the user
+  // changed after choosing it
+  static productOverrides(options, product = null) {
+    const given = { ...ThreadingSingle.DEFAULT_OPTIONS, ...(product ? ThreadingSingle.productOptions(product) : {}) };
+    const changed = Comparison.PRODUCT_DEFAULTS.filter(
+      (key) => options[key] !== undefined && JSON.stringify(options[key]) !== JSON.stringify(given[key])
+    );
+
+    return Object.fromEntries(changed.map((key) => [key, options[key]]));
+  }
+
+  // Every combination of the listed values; an empty list keeps the value of the base options. Frames with
+  // their own pegs keep their number of pegs.
+  static fromGrid(base, { pegs = [], lines = [], thickness = [] } = {}) {
+    const seed = base.seed ?? ThreadingSingle.randomSeed();
+    const pegCounts = Array.isArray(base.framePegs) || !pegs.length ? [base.pegsCount] : pegs;
+    const lineCounts = lines.length ? lines : [base.nbLines];
+    const thicknesses = thickness.length ? thickness : [base.lineThickness];
+
+    const count = pegCounts.length * lineCounts.length * thicknesses.length;
+    if (count > Comparison.MAX_CANDIDATES) {
+      throw new RangeError(`A grid of ${count} candidates exceeds the limit of ${Comparison.MAX_CANDIDATES}.`);
+    }
+
+    const candidates = [];
+    for (const pegsCount of pegCounts) {
+      for (const nbLines of lineCounts) {
+        for (const lineThickness of thicknesses) {
+          candidates.push({
+            label: `${pegsCount} clavos · ${nbLines} líneas · ${lineThickness}`,
+            product: null,
+            options: { ...base, pegsCount, nbLines, lineThickness, seed },
+          });
+        }
+      }
+    }
+
+    return candidates;
+  }
+
+  // "200, 240 260": the numbers of a list separated by commas or spaces, or null if one of them is not a
+  // positive number
+  static parseList(text) {
+    const tokens = String(text)
+      .split(/[\s,;]+/)
+      .filter(Boolean);
+    const values = tokens.map(Number);
+
+    return values.every((value) => Number.isFinite(value) && value > 0) ? values : null;
+  }
+
+  // The figures shown for a finished candidate, the perceived error included
+  static measure(threading) {
+    const usage = threading.computeThreadUsage();
+
+    return {
+      pegs: threading.pegs.length,
+      segments: threading.nbSegments,
+      meanSquare: threading.error.meanSquare,
+      blurredMeanSquare: threading.perceptualError.blurredMeanSquare,
+      ssim: threading.perceptualError.ssim,
+      lengthMm: usage.lengthMm,
+      weavingSeconds: usage.weavingSeconds,
+    };
+  }
+
+  // Index of the recommended result among measures, or -1 without any
+  static recommend(measures) {
+    if (!measures.length) {
+      return -1;
+    }
+
+    const best = Math.min(...measures.map((measure) => measure.blurredMeanSquare));
+    const limit = best * (1 + Comparison.RECOMMENDATION_TOLERANCE);
+    let recommended = -1;
+
+    measures.forEach((measure, index) => {
+      const quicker = recommended < 0 || measure.weavingSeconds < measures[recommended].weavingSeconds;
+      if (measure.blurredMeanSquare <= limit && quicker) {
+        recommended = index;
+      }
+    });
+
+    return recommended;
+  }
+}
+
+globalThis.Comparison = Comparison;
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = Comparison;
+}
@@ -0,0 +1,130 @@
+// Images as they come from users: the EXIF orientation of JPEG photos, which phones use instead of turning the
+// pixels, and the size a very large image is brought down to before it is used. The page and the CLI turn images
+// upright with the same transforms and bring them down to the same fitSize, so that the crop of a project covers the
+// same part of the image in both.
+class ImageIntake {
+  // Longest side kept of an uploaded image; the crop of the hidden canvas needs far less
+  static MAX_SIDE = 4096;
+
+  static ORIENTATION_TAG = 0x0112;
+
+  // The EXIF orientation of a JPEG (1 to 8) and the offset of its value in bytes, or null without one
+  static readOrientation(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (bytes.length < 4 || view.getUint16(0) !== 0xffd8) {
+      return null;
+    }
+
+    let offset = 2;
+    while (offset + 4 <= bytes.length && bytes[offset] === 0xff) {
+      const marker = bytes[offset + 1];
+      const length = view.getUint16(offset + 2);
+      // The image data starts at the start of scan marker, with no metadata after it
+      if (marker === 0xda || length < 2) {
+        return null;
+      }
+      if (marker === 0xe1 && ImageIntake.isExifHeader(bytes, offset + 4)) {
+        return ImageIntake.readTiffOrientation(view, offset + 10, Math.min(bytes.length, offset + 2 + length));
+      }
+      offset += 2 + length;
+    }
+
+    return null;
+  }
+
+  static isExifHeader(bytes, offset) {
+    const header = [0x45, 0x78, 0x69, 0x66, 0, 0];
+    return header.every((byte, i) => bytes[offset + i] === byte);
+  }
+
+  // The orientation entry of the first directory of the TIFF structure that starts at start
+  static readTiffOrientation(view, start, end) {
+    if (start + 8 > end) {
+      return null;
+    }
+    const byteOrder = view.getUint16(start);
+    if (byteOrder !== 0x4949 && byteOrder !== 0x4d4d) {
+      return null;
+    }
+    const little = byteOrder === 0x4949;
+
+    const directory = start + view.getUint32(start + 4, little);
+    if (directory + 2 > end) {
+      return null;
+    }
+    const entries = view.getUint16(directory, little);
+    for (let i = 0; i < entries; i++) {
+      const entry = directory + 2 + 12 * i;
+      if (entry + 12 > end) {
+        return null;
+      }
+      if (view.getUint16(entry, little) === ImageIntake.ORIENTATION_TAG) {
+        const orientation = view.getUint16(entry + 8, little);
+        return orientation >= 1 && orientation <= 8 ? { orientation, offset: entry + 8, little } : null;
+      }
+    }
+
+    return null;
+  }
+
+  // A copy of the bytes whose orientation says 1, so that a decoder does not turn the image a second time
+  static withoutOrientation(bytes, exif) {
+    const copy = new Uint8Array(bytes);
+    new DataView(copy.buffer).setUint16(exif.offset, 1, exif.little);
+    return copy;
+  }
+
+  // Orientations 5 to 8 turn the image a quarter and swap its sides
+  static orientedSize(width, height, orientation) {
+    return orientation >= 5 ? { width: height, height: width } : { width, height };
+  }
+
+  // The [a, b, c, d, e, f] of setTransform that draws an image of width × height as stored upright
+  static orientationTransform(orientation, width, height) {
+    return {
+      1: [1, 0, 0, 1, 0, 0],
+      2: [-1, 0, 0, 1, width, 0],
+      3: [-1, 0, 0, -1, width, height],
+      4: [1, 0, 0, -1, 0, height],
+      5: [0, 1, 1, 0, 0, 0],
+      6: [0, 1, -1, 0, height, 0],
+      7: [0, -1, -1, 0, height, width],
+      8: [0, -1, 1, 0, 0, width],
+    }[orientation];
+  }
+
+  // The size that fits within maxSide, keeping the aspect ratio
+  static fitSize(width, height, maxSide = ImageIntake.MAX_SIDE) {
+    const scale = Math.min(1, maxSide / Math.max(width, height));
+    return { width: Math.max(1, Math.round(scale * width)), height: Math.max(1, Math.round(scale * height)) };
+  }
+
+  // Decoded RGBA pixels { width, height, data } turned upright
+  static orientPixels(image, orientation) {
+    if (!(orientation > 1)) {
+      return image;
+    }
+
+    const size = ImageIntake.orientedSize(image.width, image.height, orientation);
+    const [a, b, c, d, e, f] = ImageIntake.orientationTransform(orientation, image.width, image.height);
+    const data = new Uint8ClampedArray(4 * size.width * size.height);
+
+    for (let y = 0; y < image.height; y++) {
+      for (let x = 0; x < image.width; x++) {
+        // Pixel centres, so that flips land on whole pixels
+        const column = Math.floor(a * (x + 0.5) + c * (y + 0.5) + e);
+        const row = Math.floor(b * (x + 0.5) + d * (y + 0.5) + f);
+        const from = 4 * (y * image.width + x);
+        data.set(image.data.subarray(from, from + 4), 4 * (row * size.width + column));
+      }
+    }
+
+    return { width: size.width, height: size.height, data };
+  }
+}
+
+globalThis.ImageIntake = ImageIntake;
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ImageIntake;
+}
@@ -0,0 +1,258 @@
+// Printable weaving instructions built from the thread data of a ThreadingSingle instance: numbered
+// steps in blocks with a checkbox each, one section per thread colour and layer. With directions, each step
+// also tells which way the thread goes around the peg.
+class InstructionSheet {
+  static MIN_BLOCK_SIZE = 50;
+  static MAX_BLOCK_SIZE = 100;
+
+  constructor(
+    threading,
+    { productName = "", blockSize = 100, frameWidthMm = null, previewUrl = null, directions = false } = {}
+  ) {
+    this.blockSize = Math.min(
+      InstructionSheet.MAX_BLOCK_SIZE,
+      Math.max(InstructionSheet.MIN_BLOCK_SIZE, Math.round(blockSize))
+    );
+    this.previewUrl = previewUrl;
+
+    // Without the physical size of the frame the lengths are given in frame widths
+    const usage = threading.computeThreadUsage(frameWidthMm || threading.parameters.frameWidthMm);
+    const formatLength = (widths, lengthMm) =>
+      frameWidthMm ? InstructionSheet.formatLength(lengthMm) : InstructionSheet.formatWidths(widths);
+
+    this.sections = threading.threadSections.map((section, index, all) => ({
+      title: InstructionSheet.sectionName(section, index, all),
+      color: InstructionSheet.threadCss(section.color),
+      length: formatLength(section.length, usage.threads[index].lengthMm),
+      blocks: this.splitInBlocks(section.pegs, directions ? section.directions : []),
+    }));
+
+    const totalLength = threading.threadSections.reduce((sum, section) => sum + section.length, 0);
+    this.summary = {
+      productName,
+      pegs: threading.pegs.length,
+      segments: threading.nbSegments,
+      seed: threading.parameters.seed,
+      threadLength: formatLength(totalLength, usage.lengthMm),
+      weavingTime: InstructionSheet.formatDuration(usage.weavingSeconds),
+    };
+  }
+
+  splitInBlocks(pegs, directions) {
+    const blocks = [];
+
+    for (let start = 0; start < pegs.length; start += this.blockSize) {
+      blocks.push(
+        pegs.slice(start, start + this.blockSize).map((peg, offset) => ({
+          number: start + offset + 1,
+          peg,
+          direction: directions[start + offset] ? ThreadingSingle.WRAP_SYMBOLS[directions[start + offset]] : "",
+        }))
+      );
+    }
+
+    return blocks;
+  }
+
+  toText() {
+    const lines = [
+      this.summary.productName,
+      `Clavos: ${this.summary.pegs}`,
+      `Segmentos: ${this.summary.segments}`,
+      `Hilo: ${this.summary.threadLength}`,
+      `Tiempo estimado: ${this.summary.weavingTime}`,
+      `Semilla: ${this.summary.seed}`,
+    ].filter(Boolean);
+
+    for (const section of this.sections) {
+      lines.push("", `== ${section.title} (${section.length}) ==`);
+
+      for (const block of section.blocks) {
+        lines.push("", `-- Pasos ${block[0].number}-${block[block.length - 1].number} --`);
+        block.forEach((step) => lines.push(`[ ] ${step.number}. ${step.peg}${step.direction && ` ${step.direction}`}`));
+      }
+    }
+
+    return `${lines.join("\n")}\n`;
+  }
+
+  toHtml() {
+    const escape = InstructionSheet.escape;
+    const title = this.summary.productName ? `Instrucciones · ${this.summary.productName}` : "Instrucciones";
+
+    const sections = this.sections.map((section) => {
+      const blocks = section.blocks.map((block) => {
+        const steps = block
+          .map(
+            (step) =>
+              `<li><span class="box"></span><span class="number">${step.number}.</span> ${step.peg}` +
+              `${step.direction && ` <span class="direction">${step.direction}</span>`}</li>`
+          )
+          .join("");
+        return (
+          `<div class="block"><h3>Pasos ${block[0].number}–${block[block.length - 1].number}</h3>` +
+          `<ol start="${block[0].number}">${steps}</ol></div>`
+        );
+      });
+
+      return (
+        `<section class="thread"><h2><span class="swatch" style="background:${section.color}"></span>` +
+        `${escape(section.title)} <small>${escape(section.length)}</small></h2>` +
+        `${blocks.join("")}</section>`
+      );
+    });
+
+    const preview = this.previewUrl ? `<img class="preview" src="${escape(this.previewUrl)}" alt="Vista previa" />` : "";
+
+    return `<!DOCTYPE html>
+<html lang="es">
+  <head>
+    <meta charset="utf-8" />
+    <title>${escape(title)}</title>
+    <style>
+      body { font-family: system-ui, sans-serif; color: #111; margin: 1.5cm; }
+      header { display: flex; justify-content: space-between; gap: 1cm; margin-bottom: 0.8cm; }
+      h1 { margin: 0 0 0.3cm; font-size: 1.6rem; }
+      dl { display: grid; grid-template-columns: auto auto; gap: 0.1cm 0.5cm; margin: 0; }
+      dt { font-weight: 600; }
+      dd { margin: 0; }
+      .preview { width: 5cm; height: 5cm; object-fit: contain; border: 1px solid #ddd; }
+      .thread h2 { display: flex; align-items: center; gap: 0.3cm; font-size: 1.2rem; }
+      .thread h2 small { font-weight: normal; color: #555; }
+      .swatch { width: 0.5cm; height: 0.5cm; border: 1px solid #555; border-radius: 50%; }
+      .block { break-inside: avoid; margin-bottom: 0.6cm; }
+      .block h3 { font-size: 0.95rem; margin: 0 0 0.2cm; color: #444; }
+      ol { list-style: none; margin: 0; padding: 0; display: grid; grid-template-columns: repeat(5, 1fr); gap: 0.15cm 0.4cm; }
+      li { display: flex; align-items: center; gap: 0.15cm; font-size: 1.05rem; font-variant-numeric: tabular-nums; }
+      .box { width: 0.35cm; height: 0.35cm; border: 1px solid #111; flex: none; }
+      .number { color: #777; font-size: 0.75rem; min-width: 2.2em; text-align: right; }
+      .direction { font-size: 1.2rem; line-height: 1; }
+      @media print {
+        body { margin: 0; }
+        .thread + .thread { break-before: page; }
+      }
+    </style>
+  </head>
+  <body>
+    <header>
+      <div>
+        <h1>${escape(this.summary.productName || "Zilarte")}</h1>
+        <dl>
+          <dt>Clavos</dt><dd>${this.summary.pegs}</dd>
+          <dt>Segmentos</dt><dd>${this.summary.segments}</dd>
+          <dt>Hilo</dt><dd>${escape(this.summary.threadLength)}</dd>
+          <dt>Tiempo estimado</dt><dd>${escape(this.summary.weavingTime)}</dd>
+          <dt>Semilla</dt><dd>${escape(this.summary.seed)}</dd>
+        </dl>
+      </div>
+      ${preview}
+    </header>
+    ${sections.join("\n    ")}
+  </body>
+</html>
+`;
+  }
+
+  // Reads peg numbers back, one array per thread, from either the plain instructions (threads separated by
+  // a blank line, numbers by line breaks, spaces or commas) or the text of a sheet with its "== ... ==" headers
+  static parseText(text) {
+    const lines = String(text)
+      .split(/\r?\n/)
+      .map((line) => line.trim());
+    const isHeader = (line) => /^==.*==$/.test(line);
+    const fromSheet = lines.some(isHeader);
+    const sequences = [[]];
+
+    lines.forEach((line, index) => {
+      const step = /^\[[ xX]?\]\s*\d+\.\s*(\d+)(?:\s*[↻↺])?$/.exec(line);
+      // Wrap direction symbols after the peg numbers are left out
+      const numbers = line
+        .replace(/[↻↺]/g, " ")
+        .trim()
+        .split(/[\s,;]+/);
+
+      if (step) {
+        sequences[sequences.length - 1].push(Number(step[1]));
+      } else if (fromSheet ? isHeader(line) : line === "") {
+        sequences.push([]);
+      } else if (!fromSheet && numbers.every((token) => /^\d+$/.test(token))) {
+        sequences[sequences.length - 1].push(...numbers.map(Number));
+      } else if (!fromSheet) {
+        throw new Error(`Line ${index + 1} is not a list of peg numbers: "${line}"`);
+      }
+    });
+
+    return sequences.filter((sequence) => sequence.length > 0);
+  }
+
+  // Title of one of threadSections: its thread, named among the threads of its layer when there are layers
+  static sectionName(section, index, sections) {
+    if (section.layer === null || section.layer === undefined) {
+      return InstructionSheet.threadName(section.color, index, sections.length);
+    }
+
+    const layer = sections.filter((other) => other.layer === section.layer);
+    const name = InstructionSheet.threadName(section.color, layer.indexOf(section), layer.length);
+    return `Capa ${section.layer + 1} · ${name}`;
+  }
+
+  static threadName(color, index, count) {
+    if (color !== null && typeof color === "object") {
+      return `Hilo ${index + 1} (${InstructionSheet.threadCss(color)})`;
+    }
+
+    switch (color) {
+      case ThreadingSingle.EColor.RED:
+        return "Hilo rojo";
+      case ThreadingSingle.EColor.GREEN:
+        return "Hilo verde";
+      case ThreadingSingle.EColor.BLUE:
+        return "Hilo azul";
+      default:
+        return count > 1 ? `Hilo ${index + 1}` : "Hilo";
+    }
+  }
+
+  static threadCss(color) {
+    // The monochrome thread is a dark thread on a light board
+    if (color === ThreadingSingle.EColor.MONOCHROME) {
+      return "#000000";
+    }
+
+    return ThreadingSingle.colorToCss(ThreadingSingle.rawColorChannels(color));
+  }
+
+  static formatLength(lengthMm) {
+    return `${(lengthMm / 1000).toLocaleString("es-ES", { maximumFractionDigits: 1 })} m`;
+  }
+
+  static formatWidths(widths) {
+    return `${widths.toLocaleString("es-ES", { maximumFractionDigits: 1 })} × ancho del marco`;
+  }
+
+  // Rounded to 10 minutes above an hour
+  static formatDuration(seconds) {
+    const minutes = Math.max(1, Math.round(seconds / 60));
+    if (minutes < 60) {
+      return `${minutes} min`;
+    }
+
+    const rounded = 10 * Math.round(minutes / 10);
+    const hours = Math.floor(rounded / 60);
+    return rounded % 60 ? `${hours} h ${rounded % 60} min` : `${hours} h`;
+  }
+
+  static escape(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+}
+
+globalThis.InstructionSheet = InstructionSheet;
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = InstructionSheet;
+}
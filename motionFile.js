@@ -0,0 +1,199 @@
+// Toolpath for a weaving machine with a rotating ring holding the frame and an arm that moves along a radius:
+// the ring brings each peg of threadSections to the arm, which goes out past the peg on one side and back in on
+// the other so that the thread wraps around it in its direction. The ends of every thread, and the change of
+// colour between threads, are pauses for the thread to be tied by hand. Written as G-code, with the ring on the
+// A axis in degrees and the arm on the X axis in millimetres from the centre, or as absolute motor steps.
+class MotionFile {
+  static DEFAULTS = {
+    // null takes the frame width of the parameters of the threading
+    frameWidthMm: null,
+    // Where the arm is, as an angle of the drawing clockwise from the right (y points down)
+    armAngleDeg: 0,
+    // 1 when a positive A turns the frame anticlockwise as drawn, -1 for a ring turning the other way
+    ringDirection: 1,
+    // How far inside and outside the pegs the arm passes
+    clearanceMm: 6,
+    // Ring rotation from the peg to either side of it, null for half the spacing between pegs
+    wrapAngleDeg: null,
+    // Degrees of the ring and millimetres of the arm per minute
+    ringFeed: 3600,
+    armFeed: 1500,
+    stepsPerDegree: 3200 / 360,
+    stepsPerMm: 80,
+  };
+
+  // Ring moves are drawn as arcs of at most this many degrees in the simulation
+  static ARC_STEP_DEG = 2;
+  static SIMULATION_TRAIL = 12;
+
+  constructor(threading, options = {}) {
+    this.threading = threading;
+    this.options = { ...MotionFile.DEFAULTS, ...options };
+    this.options.frameWidthMm ??= threading.parameters.frameWidthMm;
+
+    // Peg positions as the angle and distance from the centre of the frame, in degrees and millimetres
+    this.mmPerPixel = this.options.frameWidthMm / threading.hiddenCanvas.width;
+    this.center = { x: 0.5 * threading.hiddenCanvas.width, y: 0.5 * threading.hiddenCanvas.height };
+    this.pegs = threading.pegs.map((peg) => ({
+      angleDeg: (180 / Math.PI) * Math.atan2(peg.y - this.center.y, peg.x - this.center.x),
+      radiusMm: this.mmPerPixel * Math.hypot(peg.x - this.center.x, peg.y - this.center.y),
+    }));
+
+    this.moves = this.computeMoves(threading.threadSections);
+  }
+
+  // Each move sets the ring (degrees, unwrapped so that it always turns the short way) or the arm (millimetres),
+  // or pauses with a message. woven is the number of segments woven when the move starts, as in drawWeaveStep.
+  computeMoves(sections) {
+    const { clearanceMm, ringFeed, armFeed } = this.options;
+    const wrapAngle = this.options.wrapAngleDeg ?? 180 / this.pegs.length;
+    const moves = [];
+    let ring = 0;
+    let arm = 0;
+    let woven = 0;
+
+    // Positions are kept to the thousandth so that rounding errors do not make moves of their own
+    const round = (value) => Math.round(1000 * value) / 1000;
+    const moveRing = (frameAngle, peg) => {
+      const target = this.options.ringDirection * (this.options.armAngleDeg - frameAngle);
+      const delta = round(((((target - ring) % 360) + 540) % 360) - 180);
+      if (delta !== 0) {
+        ring = round(ring + delta);
+        moves.push({ axis: "ring", ring, arm, feed: ringFeed, woven, peg });
+      }
+    };
+    const moveArm = (radius, peg) => {
+      if (round(radius) !== arm) {
+        arm = round(radius);
+        moves.push({ axis: "arm", ring, arm, feed: armFeed, woven, peg });
+      }
+    };
+
+    sections.forEach((section, threadIndex) => {
+      const thread = sections.length > 1 ? `hilo ${threadIndex + 1}` : "hilo";
+      const last = section.pegs.length - 1;
+
+      section.pegs.forEach((number, position) => {
+        const peg = this.pegs[number - 1];
+        const inside = Math.max(0, peg.radiusMm - clearanceMm);
+
+        // The ends of the thread stop the arm inside the peg to tie it
+        if (position === 0 || position === last) {
+          moveArm(inside, number);
+          moveRing(peg.angleDeg, number);
+          woven += position > 0 ? 1 : 0;
+          const pause =
+            position === 0 ? `Ata el ${thread} al clavo ${number}` : `Remata el ${thread} en el clavo ${number}`;
+          moves.push({ axis: null, ring, arm, feed: 0, woven, peg: number, pause });
+          return;
+        }
+
+        // Clockwise, the frame angle under the arm goes from before the peg to after it while the arm is out
+        const side = section.directions[position] === "anticlockwise" ? -1 : 1;
+        moveArm(inside, number);
+        moveRing(peg.angleDeg - side * wrapAngle, number);
+        moveArm(peg.radiusMm + clearanceMm, number);
+        moveRing(peg.angleDeg + side * wrapAngle, number);
+        moveArm(inside, number);
+        woven++;
+      });
+    });
+
+    return moves;
+  }
+
+  // Time the machine takes for all the moves, without the pauses
+  get durationSeconds() {
+    let seconds = 0;
+    this.moves.forEach((move, index) => {
+      const previous = this.moves[index - 1] || { ring: 0, arm: 0 };
+      if (move.axis === "ring") {
+        seconds += (60 * Math.abs(move.ring - previous.ring)) / move.feed;
+      } else if (move.axis === "arm") {
+        seconds += (60 * Math.abs(move.arm - previous.arm)) / move.feed;
+      }
+    });
+    return seconds;
+  }
+
+  toGcode() {
+    const { nbSegments, parameters } = this.threading;
+    const lines = [
+      `; Zilarte · ${this.pegs.length} clavos · ${nbSegments} segmentos · semilla ${parameters.seed}`,
+      `; A: giro del anillo en grados · X: brazo en mm desde el centro · marco de ${this.options.frameWidthMm} mm`,
+      "G21",
+      "G90",
+    ];
+
+    for (const move of this.moves) {
+      if (move.axis === "ring") {
+        lines.push(`G1 A${move.ring} F${move.feed} ; clavo ${move.peg}`);
+      } else if (move.axis === "arm") {
+        lines.push(`G1 X${move.arm} F${move.feed}`);
+      } else {
+        lines.push(`M0 ; ${move.pause}`);
+      }
+    }
+
+    lines.push("M2");
+    return `${lines.join("\n")}\n`;
+  }
+
+  // One line per move with the absolute steps of both motors, the speed of the moving one in steps per second
+  // and the message of a pause
+  toSteps() {
+    const { stepsPerDegree, stepsPerMm } = this.options;
+    const lines = ["ring,arm,speed,pause"];
+
+    for (const move of this.moves) {
+      const stepsPerUnit = move.axis === "ring" ? stepsPerDegree : move.axis === "arm" ? stepsPerMm : 0;
+      const speed = Math.round((move.feed * stepsPerUnit) / 60);
+      const pause = move.pause ? `"${move.pause.replace(/"/g, '""')}"` : "";
+      lines.push(`${Math.round(move.ring * stepsPerDegree)},${Math.round(move.arm * stepsPerMm)},${speed},${pause}`);
+    }
+
+    return `${lines.join("\n")}\n`;
+  }
+
+  // Where the arm is over the drawing of the frame, in the coordinates of the hidden canvas
+  armPosition(ring, arm) {
+    const frameAngle = ((this.options.armAngleDeg - ring / this.options.ringDirection) * Math.PI) / 180;
+    const radius = arm / this.mmPerPixel;
+    return { x: this.center.x + radius * Math.cos(frameAngle), y: this.center.y + radius * Math.sin(frameAngle) };
+  }
+
+  // The frame as it is after moveIndex moves: the thread woven so far, the last moves of the arm and the arm
+  simulate(plotter, moveIndex, color = "#2563eb") {
+    const index = Math.max(0, Math.min(moveIndex, this.moves.length - 1));
+    const transformation = this.threading.computeTransformation(plotter.size, plotter.margin);
+
+    plotter.clear(this.threading.backgroundColor);
+    this.threading.drawPegs(plotter);
+    if (this.moves.length === 0) {
+      return;
+    }
+    this.threading.drawWeaveStep(plotter, this.moves[index].woven);
+
+    const trail = [];
+    const first = Math.max(0, index - MotionFile.SIMULATION_TRAIL);
+    for (let i = first; i <= index; i++) {
+      const from = this.moves[i - 1] || this.moves[i];
+      const to = this.moves[i];
+      const pieces = Math.max(1, Math.ceil(Math.abs(to.ring - from.ring) / MotionFile.ARC_STEP_DEG));
+      for (let piece = i === first ? 0 : 1; piece <= pieces; piece++) {
+        const ring = from.ring + ((to.ring - from.ring) * piece) / pieces;
+        trail.push(transformation.transform(this.armPosition(ring, to.arm)));
+      }
+    }
+
+    const operation = ThreadingSingle.ECompositingOperation.PAINT;
+    plotter.drawBrokenLine(trail, ThreadingSingle.parseColor(color), 1, operation, 2);
+    plotter.drawPoints([trail[trail.length - 1]], color, 6);
+  }
+}
+
+globalThis.MotionFile = MotionFile;
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = MotionFile;
+}
@@ -0,0 +1,153 @@
+// Project files keep a generated piece: the parameters (crop and seed included), the peg sequence of every
+// thread colour, the product and optionally the cropped source image as a data URL. Opening one restores the
+// ThreadingSingle state by replaying the sequences instead of searching them again.
+class ProjectFile {
+  static FORMAT = "zilarte-project";
+  static VERSION = 1;
+  static EMBEDDED_IMAGE_MAX_SIDE = 1024;
+
+  static create(threading, { product = null, image = null } = {}) {
+    const crop = threading.computeCropRectangle();
+
+    return {
+      format: ProjectFile.FORMAT,
+      version: ProjectFile.VERSION,
+      createdAt: new Date().toISOString(),
+      product,
+      parameters: {
+        ...threading.parameters,
+        importanceMask: ProjectFile.encodeMask(threading.parameters.importanceMask),
+      },
+      source: { width: threading.sourceImage.width, height: threading.sourceImage.height },
+      crop,
+      nbSegments: threading.nbSegments,
+      error: threading.error,
+      thread: threading.exportThread(),
+      // The embedded image is the crop alone, at any resolution with the aspect ratio of the crop
+      image,
+    };
+  }
+
+  static stringify(project) {
+    return `${JSON.stringify(project, null, 2)}\n`;
+  }
+
+  static parse(text) {
+    let project;
+    try {
+      project = JSON.parse(text);
+    } catch (e) {
+      throw new Error("Invalid project file: not JSON.");
+    }
+
+    if (!project || project.format !== ProjectFile.FORMAT) {
+      throw new Error("Invalid project file: unknown format.");
+    }
+    if (!Number.isInteger(project.version) || project.version > ProjectFile.VERSION) {
+      throw new Error(`Unsupported project version ${project.version}.`);
+    }
+    if (!project.parameters || typeof project.parameters !== "object") {
+      throw new Error("Invalid project file: missing parameters.");
+    }
+    if (!project.source || !Number.isFinite(project.source.width) || !Number.isFinite(project.source.height)) {
+      throw new Error("Invalid project file: missing source size.");
+    }
+
+    if (project.parameters.importanceMask) {
+      project.parameters.importanceMask = ProjectFile.decodeMask(project.parameters.importanceMask);
+    }
+
+    const thread = project.thread;
+    const isSequence = (sequence) => Array.isArray(sequence) && sequence.every(Number.isInteger);
+    if (!thread || !Array.isArray(thread.sequences) || !thread.sequences.every(isSequence)) {
+      throw new Error("Invalid project file: missing peg sequences.");
+    }
+
+    return project;
+  }
+
+  // sourceImage is either the original image the project was generated from or the embedded crop.
+  // overrides replace parameters before the sequences are replayed, e.g. a higher nbLines to continue.
+  static restore(project, sourceImage, { fromEmbeddedImage = false, overrides = {} } = {}) {
+    const parameters = { ...project.parameters, ...overrides };
+
+    if (fromEmbeddedImage) {
+      parameters.cropOrigin = { x: 0, y: 0 };
+      parameters.cropSize = { width: sourceImage.width, height: sourceImage.height };
+      if (parameters.importanceMask) {
+        parameters.importanceMask = ProjectFile.cropMask(parameters.importanceMask, project.source, project.crop);
+      }
+    } else if (sourceImage.width !== project.source.width || sourceImage.height !== project.source.height) {
+      throw new Error(
+        `The image (${sourceImage.width}×${sourceImage.height}) is not the one of the project ` +
+          `(${project.source.width}×${project.source.height}).`
+      );
+    }
+
+    const threading = new ThreadingSingle(sourceImage, parameters);
+    if (threading.exportThread().sequences.length !== project.thread.sequences.length) {
+      throw new Error(`Invalid project file: wrong number of sequences for mode "${parameters.mode}".`);
+    }
+
+    const pegsCount = threading.pegs.length;
+    if (project.thread.sequences.some((sequence) => sequence.some((index) => index < 0 || index >= pegsCount))) {
+      throw new Error(`Invalid project file: peg index out of range (${pegsCount} pegs).`);
+    }
+
+    threading.importThread(project.thread);
+    return threading;
+  }
+
+  // Importance masks are stored as base64 rather than as a JSON array of numbers
+  static encodeMask(mask) {
+    if (!mask) {
+      return null;
+    }
+
+    const bytes = Uint8Array.from(mask.data);
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return { width: mask.width, height: mask.height, data: btoa(binary) };
+  }
+
+  static decodeMask(mask) {
+    let binary;
+    try {
+      binary = atob(mask.data);
+    } catch (e) {
+      throw new Error("Invalid project file: corrupt importance mask.");
+    }
+
+    if (binary.length !== mask.width * mask.height) {
+      throw new Error("Invalid project file: importance mask size mismatch.");
+    }
+    return { width: mask.width, height: mask.height, data: Uint8Array.from(binary, (char) => char.charCodeAt(0)) };
+  }
+
+  // The part of a mask over the whole source image that covers the crop, for the embedded image
+  static cropMask(mask, source, crop) {
+    const scaleX = mask.width / source.width;
+    const scaleY = mask.height / source.height;
+    const width = Math.max(1, Math.round(crop.width * scaleX));
+    const height = Math.max(1, Math.round(crop.height * scaleY));
+    const data = new Uint8Array(width * height);
+
+    for (let y = 0; y < height; y++) {
+      const maskY = Math.min(mask.height - 1, Math.floor((crop.y + ((y + 0.5) * crop.height) / height) * scaleY));
+      for (let x = 0; x < width; x++) {
+        const maskX = Math.min(mask.width - 1, Math.floor((crop.x + ((x + 0.5) * crop.width) / width) * scaleX));
+        data[y * width + x] = mask.data[maskY * mask.width + maskX];
+      }
+    }
+
+    return { width, height, data };
+  }
+}
+
+globalThis.ProjectFile = ProjectFile;
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ProjectFile;
+}
@@ -0,0 +1,557 @@
+// Headless stand-in for HTMLCanvasElement, covering the subset of the 2D context used by ThreadingSingle
+// and its plotters. Pixels are kept as straight (non-premultiplied) RGBA bytes, like ImageData.
+class RasterCanvas {
+  constructor(width = 300, height = 150) {
+    this.context = null;
+    this.resize(width, height);
+  }
+
+  static fromImageData(image) {
+    const canvas = new RasterCanvas(image.width, image.height);
+    canvas.data.set(image.data);
+    return canvas;
+  }
+
+  get width() {
+    return this.widthInternal;
+  }
+
+  set width(value) {
+    this.resize(value, this.heightInternal);
+  }
+
+  get height() {
+    return this.heightInternal;
+  }
+
+  set height(value) {
+    this.resize(this.widthInternal, value);
+  }
+
+  // Like the DOM, assigning a size clears the pixels and resets the context state
+  resize(width, height) {
+    this.widthInternal = Math.max(0, Math.floor(width));
+    this.heightInternal = Math.max(0, Math.floor(height));
+    this.data = new Uint8ClampedArray(4 * this.widthInternal * this.heightInternal);
+
+    if (this.context) {
+      this.context.resetState();
+    }
+  }
+
+  getContext(type) {
+    if (type !== "2d") {
+      return null;
+    }
+
+    if (!this.context) {
+      this.context = new RasterCanvas.Context2D(this);
+    }
+
+    return this.context;
+  }
+}
+
+RasterCanvas.COMPOSITE_OPERATIONS = ["source-over", "lighter", "multiply"];
+
+RasterCanvas.NAMED_COLORS = {
+  black: [0, 0, 0, 1],
+  white: [255, 255, 255, 1],
+  red: [255, 0, 0, 1],
+  green: [0, 128, 0, 1],
+  blue: [0, 0, 255, 1],
+  transparent: [0, 0, 0, 0],
+};
+
+RasterCanvas.parseColor = (value) => {
+  const text = String(value).trim().toLowerCase();
+
+  if (RasterCanvas.NAMED_COLORS[text]) {
+    return RasterCanvas.NAMED_COLORS[text].slice();
+  }
+
+  const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/.exec(text);
+  if (hex) {
+    const digits = hex[1].length === 3 ? hex[1].replace(/./g, "$&$&") : hex[1];
+    return [
+      parseInt(digits.slice(0, 2), 16),
+      parseInt(digits.slice(2, 4), 16),
+      parseInt(digits.slice(4, 6), 16),
+      1,
+    ];
+  }
+
+  const functional = /^rgba?\(([^)]*)\)$/.exec(text);
+  if (functional) {
+    const parts = functional[1].split(/[\s,/]+/).filter(Boolean).map(Number);
+    if (parts.length >= 3 && parts.every(Number.isFinite)) {
+      return [parts[0], parts[1], parts[2], parts.length > 3 ? RasterCanvas.clampUnit(parts[3]) : 1];
+    }
+  }
+
+  return null;
+};
+
+RasterCanvas.clampUnit = (value) => Math.min(1, Math.max(0, value));
+
+// Length of the intersection of [a0, a1] and [b0, b1], used as a box-filter coverage
+RasterCanvas.overlap = (a0, a1, b0, b1) => Math.max(0, Math.min(a1, b1) - Math.max(a0, b0));
+
+RasterCanvas.Context2D = class {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.resetState();
+  }
+
+  resetState() {
+    this.compositeOperation = "source-over";
+    this.strokeColor = [0, 0, 0, 1];
+    this.fillColor = [0, 0, 0, 1];
+    this.strokeStyleText = "#000000";
+    this.fillStyleText = "#000000";
+    this.lineWidthInternal = 1;
+    this.lineCap = "butt";
+    this.globalAlpha = 1;
+    this.imageSmoothingEnabled = true;
+    this.imageSmoothingQuality = "low";
+    this.subpaths = [];
+  }
+
+  // Unsupported operations are ignored, as browsers do, so callers can detect them by reading back
+  get globalCompositeOperation() {
+    return this.compositeOperation;
+  }
+
+  set globalCompositeOperation(value) {
+    if (RasterCanvas.COMPOSITE_OPERATIONS.includes(value)) {
+      this.compositeOperation = value;
+    }
+  }
+
+  get strokeStyle() {
+    return this.strokeStyleText;
+  }
+
+  set strokeStyle(value) {
+    const color = RasterCanvas.parseColor(value);
+    if (color) {
+      this.strokeColor = color;
+      this.strokeStyleText = String(value);
+    }
+  }
+
+  get fillStyle() {
+    return this.fillStyleText;
+  }
+
+  set fillStyle(value) {
+    const color = RasterCanvas.parseColor(value);
+    if (color) {
+      this.fillColor = color;
+      this.fillStyleText = String(value);
+    }
+  }
+
+  get lineWidth() {
+    return this.lineWidthInternal;
+  }
+
+  set lineWidth(value) {
+    if (Number.isFinite(value) && value > 0) {
+      this.lineWidthInternal = value;
+    }
+  }
+
+  createImageData(width, height) {
+    return { width, height, data: new Uint8ClampedArray(4 * width * height) };
+  }
+
+  getImageData(x, y, width, height) {
+    const image = this.createImageData(width, height);
+    const { data, width: canvasWidth, height: canvasHeight } = this.canvas;
+
+    for (let row = 0; row < height; row++) {
+      const sourceY = y + row;
+      if (sourceY < 0 || sourceY >= canvasHeight) continue;
+
+      for (let column = 0; column < width; column++) {
+        const sourceX = x + column;
+        if (sourceX < 0 || sourceX >= canvasWidth) continue;
+
+        const from = 4 * (sourceX + sourceY * canvasWidth);
+        const to = 4 * (column + row * width);
+        image.data[to + 0] = data[from + 0];
+        image.data[to + 1] = data[from + 1];
+        image.data[to + 2] = data[from + 2];
+        image.data[to + 3] = data[from + 3];
+      }
+    }
+
+    return image;
+  }
+
+  putImageData(image, x, y) {
+    const { data, width: canvasWidth, height: canvasHeight } = this.canvas;
+
+    for (let row = 0; row < image.height; row++) {
+      const targetY = y + row;
+      if (targetY < 0 || targetY >= canvasHeight) continue;
+
+      for (let column = 0; column < image.width; column++) {
+        const targetX = x + column;
+        if (targetX < 0 || targetX >= canvasWidth) continue;
+
+        const from = 4 * (column + row * image.width);
+        const to = 4 * (targetX + targetY * canvasWidth);
+        data[to + 0] = image.data[from + 0];
+        data[to + 1] = image.data[from + 1];
+        data[to + 2] = image.data[from + 2];
+        data[to + 3] = image.data[from + 3];
+      }
+    }
+  }
+
+  clearRect(x, y, width, height) {
+    this.forEachPixelInRect(x, y, width, height, (offset) => {
+      this.canvas.data.fill(0, offset, offset + 4);
+    });
+  }
+
+  fillRect(x, y, width, height) {
+    this.forEachPixelInRect(x, y, width, height, (offset, coverage) => {
+      this.blendPixel(offset, this.fillColor, coverage);
+    });
+  }
+
+  // Accepts the 3, 5 and 9 argument forms of CanvasRenderingContext2D.drawImage
+  drawImage(source, ...args) {
+    let [sx, sy, sw, sh] = [0, 0, source.width, source.height];
+    let [dx, dy, dw, dh] = [0, 0, source.width, source.height];
+
+    if (args.length === 2) {
+      [dx, dy] = args;
+    } else if (args.length === 4) {
+      [dx, dy, dw, dh] = args;
+    } else if (args.length === 8) {
+      [sx, sy, sw, sh, dx, dy, dw, dh] = args;
+    } else {
+      throw new TypeError("RasterCanvas drawImage expects 3, 5 or 9 arguments.");
+    }
+
+    const targetWidth = Math.round(dw);
+    const targetHeight = Math.round(dh);
+    if (targetWidth <= 0 || targetHeight <= 0) {
+      return;
+    }
+
+    const pixels = RasterCanvas.resample(source, sx, sy, sw, sh, targetWidth, targetHeight);
+    const originX = Math.round(dx);
+    const originY = Math.round(dy);
+    const color = [0, 0, 0, 1];
+
+    for (let row = 0; row < targetHeight; row++) {
+      const y = originY + row;
+      if (y < 0 || y >= this.canvas.height) continue;
+
+      for (let column = 0; column < targetWidth; column++) {
+        const x = originX + column;
+        if (x < 0 || x >= this.canvas.width) continue;
+
+        const from = 4 * (column + row * targetWidth);
+        color[0] = pixels[from + 0];
+        color[1] = pixels[from + 1];
+        color[2] = pixels[from + 2];
+        color[3] = pixels[from + 3] / 255;
+        this.blendPixel(4 * (x + y * this.canvas.width), color, 1);
+      }
+    }
+  }
+
+  beginPath() {
+    this.subpaths = [];
+  }
+
+  moveTo(x, y) {
+    this.subpaths.push({ points: [{ x, y }], closed: false });
+  }
+
+  lineTo(x, y) {
+    if (!this.subpaths.length) {
+      this.moveTo(x, y);
+      return;
+    }
+
+    this.subpaths[this.subpaths.length - 1].points.push({ x, y });
+  }
+
+  closePath() {
+    if (this.subpaths.length) {
+      const current = this.subpaths[this.subpaths.length - 1];
+      current.closed = true;
+      this.moveTo(current.points[0].x, current.points[0].y);
+    }
+  }
+
+  rect(x, y, width, height) {
+    this.moveTo(x, y);
+    this.lineTo(x + width, y);
+    this.lineTo(x + width, y + height);
+    this.lineTo(x, y + height);
+    this.closePath();
+  }
+
+  // Arcs are flattened into a polyline, fine enough for pegs and markers
+  arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+    let sweep = endAngle - startAngle;
+    if (counterclockwise && sweep > 0) sweep -= 2 * Math.PI;
+    if (!counterclockwise && sweep < 0) sweep += 2 * Math.PI;
+    sweep = Math.max(-2 * Math.PI, Math.min(2 * Math.PI, sweep));
+
+    const steps = Math.max(8, Math.ceil((Math.abs(sweep) * Math.max(radius, 1)) / 2));
+    for (let i = 0; i <= steps; i++) {
+      const angle = startAngle + (sweep * i) / steps;
+      const point = { x: x + radius * Math.cos(angle), y: y + radius * Math.sin(angle) };
+
+      if (i === 0 && this.subpaths.length) {
+        this.lineTo(point.x, point.y);
+      } else if (i === 0) {
+        this.moveTo(point.x, point.y);
+      } else {
+        this.lineTo(point.x, point.y);
+      }
+    }
+  }
+
+  stroke() {
+    const halfWidth = 0.5 * this.lineWidthInternal;
+    const round = this.lineCap === "round";
+
+    for (const subpath of this.subpaths) {
+      const points = subpath.points;
+      for (let i = 0; i < points.length - 1; i++) {
+        this.strokeSegment(points[i], points[i + 1], halfWidth, round);
+      }
+    }
+  }
+
+  fill() {
+    const polygons = this.subpaths.filter((subpath) => subpath.points.length > 2).map((subpath) => subpath.points);
+    if (!polygons.length) {
+      return;
+    }
+
+    let [minX, minY, maxX, maxY] = [Infinity, Infinity, -Infinity, -Infinity];
+    for (const polygon of polygons) {
+      for (const point of polygon) {
+        minX = Math.min(minX, point.x);
+        minY = Math.min(minY, point.y);
+        maxX = Math.max(maxX, point.x);
+        maxY = Math.max(maxY, point.y);
+      }
+    }
+
+    const samples = 4;
+    const left = Math.max(0, Math.floor(minX));
+    const top = Math.max(0, Math.floor(minY));
+    const right = Math.min(this.canvas.width - 1, Math.ceil(maxX));
+    const bottom = Math.min(this.canvas.height - 1, Math.ceil(maxY));
+
+    for (let y = top; y <= bottom; y++) {
+      for (let x = left; x <= right; x++) {
+        let inside = 0;
+
+        for (let sy = 0; sy < samples; sy++) {
+          for (let sx = 0; sx < samples; sx++) {
+            const px = x + (sx + 0.5) / samples;
+            const py = y + (sy + 0.5) / samples;
+            if (polygons.some((polygon) => RasterCanvas.containsPoint(polygon, px, py))) {
+              inside++;
+            }
+          }
+        }
+
+        if (inside) {
+          this.blendPixel(4 * (x + y * this.canvas.width), this.fillColor, inside / (samples * samples));
+        }
+      }
+    }
+  }
+
+  strokeSegment(from, to, halfWidth, round) {
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const length = Math.hypot(dx, dy);
+
+    if (length === 0 && !round) {
+      return;
+    }
+
+    const ux = length ? dx / length : 1;
+    const uy = length ? dy / length : 0;
+    const margin = halfWidth + 1;
+
+    const left = Math.max(0, Math.floor(Math.min(from.x, to.x) - margin));
+    const top = Math.max(0, Math.floor(Math.min(from.y, to.y) - margin));
+    const right = Math.min(this.canvas.width - 1, Math.ceil(Math.max(from.x, to.x) + margin));
+    const bottom = Math.min(this.canvas.height - 1, Math.ceil(Math.max(from.y, to.y) + margin));
+
+    for (let y = top; y <= bottom; y++) {
+      for (let x = left; x <= right; x++) {
+        const px = x + 0.5 - from.x;
+        const py = y + 0.5 - from.y;
+        const along = px * ux + py * uy;
+        let coverage;
+
+        if (round) {
+          const t = Math.max(0, Math.min(length, along));
+          const distance = Math.hypot(px - t * ux, py - t * uy);
+          coverage = RasterCanvas.overlap(distance - 0.5, distance + 0.5, -halfWidth, halfWidth);
+        } else {
+          const across = Math.abs(px * -uy + py * ux);
+          coverage =
+            RasterCanvas.overlap(across - 0.5, across + 0.5, -halfWidth, halfWidth) *
+            RasterCanvas.overlap(along - 0.5, along + 0.5, 0, length);
+        }
+
+        if (coverage > 0) {
+          this.blendPixel(4 * (x + y * this.canvas.width), this.strokeColor, Math.min(1, coverage));
+        }
+      }
+    }
+  }
+
+  forEachPixelInRect(x, y, width, height, callback) {
+    const left = Math.max(0, Math.floor(x));
+    const top = Math.max(0, Math.floor(y));
+    const right = Math.min(this.canvas.width, Math.ceil(x + width));
+    const bottom = Math.min(this.canvas.height, Math.ceil(y + height));
+
+    for (let row = top; row < bottom; row++) {
+      const coverageY = RasterCanvas.overlap(row, row + 1, y, y + height);
+      for (let column = left; column < right; column++) {
+        const coverage = coverageY * RasterCanvas.overlap(column, column + 1, x, x + width);
+        callback(4 * (column + row * this.canvas.width), coverage);
+      }
+    }
+  }
+
+  blendPixel(offset, color, coverage) {
+    const data = this.canvas.data;
+    const alpha = color[3] * coverage * this.globalAlpha;
+
+    if (alpha <= 0) {
+      return;
+    }
+
+    const destinationAlpha = data[offset + 3] / 255;
+
+    if (this.compositeOperation === "lighter") {
+      for (let channel = 0; channel < 3; channel++) {
+        data[offset + channel] = data[offset + channel] * destinationAlpha + color[channel] * alpha;
+      }
+      data[offset + 3] = 255 * Math.min(1, destinationAlpha + alpha);
+      return;
+    }
+
+    const outAlpha = alpha + destinationAlpha * (1 - alpha);
+    for (let channel = 0; channel < 3; channel++) {
+      const destination = data[offset + channel];
+      const source =
+        this.compositeOperation === "multiply" ? (color[channel] * destination) / 255 : color[channel];
+      data[offset + channel] = (source * alpha + destination * destinationAlpha * (1 - alpha)) / outAlpha;
+    }
+    data[offset + 3] = 255 * outAlpha;
+  }
+};
+
+RasterCanvas.containsPoint = (polygon, x, y) => {
+  let inside = false;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if (a.y > y !== b.y > y && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+};
+
+// Area-averages when shrinking and interpolates bilinearly when enlarging, one axis at a time
+RasterCanvas.resample = (source, sx, sy, sw, sh, targetWidth, targetHeight) => {
+  const pixels = source.data;
+  const sourceWidth = source.width;
+  const horizontal = RasterCanvas.resampleWeights(sx, sw, targetWidth, sourceWidth);
+  const vertical = RasterCanvas.resampleWeights(sy, sh, targetHeight, source.height);
+
+  const rows = new Float32Array(4 * targetWidth * source.height);
+  for (let y = 0; y < source.height; y++) {
+    for (let x = 0; x < targetWidth; x++) {
+      const to = 4 * (x + y * targetWidth);
+      for (const [index, weight] of horizontal[x]) {
+        const from = 4 * (index + y * sourceWidth);
+        rows[to + 0] += pixels[from + 0] * weight;
+        rows[to + 1] += pixels[from + 1] * weight;
+        rows[to + 2] += pixels[from + 2] * weight;
+        rows[to + 3] += pixels[from + 3] * weight;
+      }
+    }
+  }
+
+  const result = new Uint8ClampedArray(4 * targetWidth * targetHeight);
+  for (let y = 0; y < targetHeight; y++) {
+    for (let x = 0; x < targetWidth; x++) {
+      const to = 4 * (x + y * targetWidth);
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let a = 0;
+      for (const [index, weight] of vertical[y]) {
+        const from = 4 * (x + index * targetWidth);
+        r += rows[from + 0] * weight;
+        g += rows[from + 1] * weight;
+        b += rows[from + 2] * weight;
+        a += rows[from + 3] * weight;
+      }
+      result[to + 0] = r;
+      result[to + 1] = g;
+      result[to + 2] = b;
+      result[to + 3] = a;
+    }
+  }
+
+  return result;
+};
+
+RasterCanvas.resampleWeights = (start, length, targetLength, sourceLength) => {
+  const scale = length / targetLength;
+  const weights = [];
+
+  for (let i = 0; i < targetLength; i++) {
+    const taps = [];
+
+    if (scale > 1) {
+      const from = start + i * scale;
+      const to = from + scale;
+      for (let index = Math.floor(from); index < Math.ceil(to); index++) {
+        const weight = RasterCanvas.overlap(index, index + 1, from, to) / scale;
+        if (weight > 0) taps.push([Math.min(sourceLength - 1, Math.max(0, index)), weight]);
+      }
+    } else {
+      const center = start + (i + 0.5) * scale - 0.5;
+      const index = Math.floor(center);
+      const fraction = center - index;
+      taps.push([Math.min(sourceLength - 1, Math.max(0, index)), 1 - fraction]);
+      taps.push([Math.min(sourceLength - 1, Math.max(0, index + 1)), fraction]);
+    }
+
+    weights.push(taps);
+  }
+
+  return weights;
+};
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = RasterCanvas;
+}
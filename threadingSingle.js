@@ -2,6 +2,7 @@ class ThreadingSingle {
   static ECompositingOperation = Object.freeze({
     DARKEN: 0,
     LIGHTEN: 1,
+    PAINT: 2,
   });
 
   static EColor = Object.freeze({
@@ -23,23 +24,91 @@ class ThreadingSingle {
     lineThickness: 1,
     cropOrigin: { x: 0, y: 0 },
     cropSize: null,
+    seed: null,
+    frameShape: "circle",
+    frameAspectRatio: 1,
+    framePegs: null,
+    palette: ["#000000"],
+    boardColor: "#ffffff",
+    importanceMask: null,
+    preprocessing: null,
+    // "lines" stops at nbLines; "convergence" stops before, at most at nbLines, once the mean square error
+    // goes down by less than convergenceThreshold (relative) over convergenceWindow segments
+    stopMode: "lines",
+    convergenceWindow: 300,
+    convergenceThreshold: 0.01,
+    // For the perceptual error: how far the piece is seen from and how wide the frame is
+    viewingDistanceMm: 2000,
+    frameWidthMm: 500,
+    // Thread taken by going around a peg, added to the chords for the thread length
+    wrapAllowanceMm: 4,
+    // With threadDiameterMm the thread is drawn at its real width on a frame frameWidthMm wide instead of
+    // lineThickness hundredths of the frame. threadSpread scales it to how dark the woven thread really looks,
+    // see calibrateThreadSpread.
+    threadDiameterMm: null,
+    threadSpread: 1,
+    // Rules of the peg search. A chord joins pegs at least minChordSkip of the frame contour apart and never
+    // goes back to one of the last historyLength pegs of its thread. When set, a chord is used at most
+    // maxChordPasses times, the thread goes around a peg at most maxPegWraps times, both over all the threads,
+    // and a chord is at most maxChordLength frame widths long; the search only breaks these limits when no peg
+    // keeps to them, see validateSequences.
+    minChordSkip: 1 / 16,
+    historyLength: 20,
+    maxChordPasses: null,
+    maxPegWraps: null,
+    maxChordLength: null,
+    // Layers woven one after the other on what the previous ones left, e.g. a thick thread for the big shapes
+    // and then a thin one for the details: [{ nbLines, lineThickness, lineOpacity, threadDiameterMm }], the
+    // options a layer leaves out being those of the piece. Each layer grows to its nbLines in turn and the last
+    // one takes whatever nbLines leaves; null for a single thread.
+    layers: null,
   };
 
+  static FRAME_SHAPES = ["circle", "square", "rectangle", "custom"];
+
+  // The options that change how the thread looks but not where it goes, see restyle
+  static STYLE_OPTIONS = ["lineOpacity", "lineThickness", "threadDiameterMm", "threadSpread"];
+
+  static MAX_EXPORT_SIDE = 16384;
+
+  static SOURCE_TYPES = ["HTMLImageElement", "HTMLCanvasElement", "ImageBitmap", "OffscreenCanvas", "ImageData"];
+
+  // Set to a (width, height) => canvas function to run without a DOM, e.g. with RasterCanvas in Node
+  static canvasFactory = null;
+
   constructor(sourceImage, options = {}) {
-    if (!(sourceImage instanceof HTMLImageElement)) {
-      throw new TypeError("ThreadingSingle expects an HTMLImageElement as source.");
+    if (!ThreadingSingle.isSupportedSource(sourceImage)) {
+      throw new TypeError("ThreadingSingle expects an HTMLImageElement, ImageBitmap or ImageData as source.");
     }
 
-    this.sourceImage = sourceImage;
+    this.sourceImage = ThreadingSingle.toDrawableSource(sourceImage);
     this.parameters = { ...ThreadingSingle.DEFAULT_OPTIONS, ...options };
 
-    this.hiddenCanvas = document.createElement("canvas");
+    this.hiddenCanvas = ThreadingSingle.createCanvas(1, 1);
     this.hiddenCanvasContext = this.hiddenCanvas.getContext("2d");
-    this.hiddenCanvasData = null;
+    // The search works on these RGBA values rather than on the canvas, which only receives them for display
+    this.hiddenCanvasValues = null;
+    this.hiddenCanvasDirty = false;
+    this.hiddenLineWidth = 1;
+    // Width of the thread in hidden canvas pixels, for drawing as well as for the search
+    this.threadWidth = 0;
+    this.hiddenStroke = null;
+    // The thread of every layer, see useLayer, and the chord tables by hidden line width
+    this.layerStyles = [];
+    this.currentLayer = 0;
+    this.chordTables = new Map();
+    this.importance = null;
+    // Where the refinement goes on from, and how many positions in a row it could not improve
+    this.refineCursor = 0;
+    this.refineStall = 0;
 
     this.thread = null;
     this.pegs = [];
     this.error = { average: 0, meanSquare: 0, variance: 0 };
+    this.perceptualError = { blurredMeanSquare: 0, ssim: 1, heatmap: null };
+    // One point every 100 segments: { segments, meanSquare, blurredMeanSquare, ssim }, see recordErrorHistory
+    this.errorHistory = [];
+    this.sourceLuminance = null;
     this.lineOpacityInternal = 0;
 
     this.reset(this.parameters.lineOpacity, this.parameters.lineThickness);
@@ -53,46 +122,369 @@ class ThreadingSingle {
     );
   }
 
+  // Takes any of STYLE_OPTIONS. The segments are kept and replayed on the hidden canvas with the new coverage,
+  // so that growing or refining goes on from them instead of starting over. Without replay only the drawing
+  // changes, as for importThread.
+  restyle(overrides = {}, replay = true) {
+    const style = Object.fromEntries(
+      ThreadingSingle.STYLE_OPTIONS.filter((key) => key in overrides).map((key) => [key, overrides[key]])
+    );
+    if (!replay) {
+      Object.assign(this.parameters, style);
+      this.initializeHiddenCanvasLineProperties();
+      return;
+    }
+
+    const state = this.exportThread();
+
+    this.configure(style);
+    this.importThread(state);
+    this.computePerceptualError();
+    this.recordErrorHistory();
+  }
+
   reset(lineOpacity = this.parameters.lineOpacity, lineThickness = this.parameters.lineThickness) {
     this.parameters.lineOpacity = lineOpacity;
     this.parameters.lineThickness = lineThickness;
     this.hiddenCanvasScale = this.parameters.quality;
 
-    if (this.parameters.mode === "monochrome") {
-      this.thread = new ThreadingSingle.ThreadMonochrome();
-    } else {
-      this.thread = new ThreadingSingle.ThreadRedBlueGreen();
+    if (!Number.isInteger(this.parameters.seed)) {
+      this.parameters.seed = ThreadingSingle.randomSeed();
+    }
+    this.random = ThreadingSingle.createRandom(this.parameters.seed);
+
+    const createThread = () => {
+      if (this.parameters.mode === "monochrome") {
+        return new ThreadingSingle.ThreadMonochrome();
+      }
+      if (this.parameters.mode === "palette") {
+        return new ThreadingSingle.ThreadPalette(
+          this.parameters.palette.map((color) => ThreadingSingle.parseColor(color)),
+          ThreadingSingle.parseColor(this.parameters.boardColor)
+        );
+      }
+      return new ThreadingSingle.ThreadRedBlueGreen();
+    };
+    const validLayer = (layer) => Number.isInteger(layer.nbLines) && layer.nbLines > 0;
+    if (this.hasLayers && !this.parameters.layers.every(validLayer)) {
+      throw new RangeError("Every layer needs a positive integer nbLines.");
     }
+    this.thread = this.hasLayers
+      ? new ThreadingSingle.ThreadLayers(createThread, this.parameters.layers.map((layer) => layer.nbLines))
+      : createThread();
 
     this.resetHiddenCanvas();
     this.pegs = this.computePegs();
+    if (ThreadingSingle.countReachablePegs(this.pegs, this.parameters.minChordSkip) === 0) {
+      throw new RangeError("minChordSkip leaves no peg for a chord to go to.");
+    }
+    this.resetUsage();
+    this.chordTables.clear();
+    this.refineCursor = 0;
+    this.refineStall = 0;
+    this.computePerceptualError();
+    this.errorHistory = [];
+    this.recordErrorHistory();
   }
 
   get nbSegments() {
     return this.thread.totalNbSegments;
   }
 
-  drawThread(plotter, fromSegment = 0) {
-    const transformation = this.computeTransformation(plotter.size);
-    const thickness = transformation.scaling * this.hiddenCanvasScale * this.parameters.lineThickness;
-    const operation = this.parameters.invertColors
-      ? ThreadingSingle.ECompositingOperation.LIGHTEN
-      : ThreadingSingle.ECompositingOperation.DARKEN;
+  get hasLayers() {
+    return Array.isArray(this.parameters.layers) && this.parameters.layers.length > 0;
+  }
+
+  get backgroundColor() {
+    return this.thread.backgroundColor(this.parameters.invertColors);
+  }
+
+  get hiddenLineOpacity() {
+    return this.lineOpacityInternal * this.thread.opacityScale;
+  }
+
+  // The segments from fromSegment to toSegment in growth order, e.g. the piece as it was at toSegment
+  drawThread(plotter, fromSegment = 0, toSegment = Infinity) {
+    const transformation = this.computeTransformation(plotter.size, plotter.margin);
+    const operation = this.thread.compositingOperation(this.parameters.invertColors);
+
+    this.thread.iterateOnThreads(
+      fromSegment,
+      (threadPoints, color, layer = 0) => {
+        const { threadWidth, lineOpacity } = this.layerStyles[layer];
+        const transformed = threadPoints.map((peg) => transformation.transform(peg));
+        plotter.drawBrokenLine(transformed, color, lineOpacity, operation, transformation.scaling * threadWidth);
+      },
+      toSegment
+    );
+  }
+
+  // The threads are woven one after the other, so weaving steps follow threadSections rather than the
+  // growth order of drawThread. Draws what is woven before the step and highlights the segment of the step.
+  drawWeaveStep(plotter, step, highlightColor = "#e11d48") {
+    const transformation = this.computeTransformation(plotter.size, plotter.margin);
+    const operation = this.thread.compositingOperation(this.parameters.invertColors);
+    let remaining = step;
+
+    this.thread.iterateOnThreads(0, (threadPoints, color, layer = 0) => {
+      if (remaining < 0) {
+        return;
+      }
+
+      const { threadWidth, lineOpacity } = this.layerStyles[layer];
+      const thickness = transformation.scaling * threadWidth;
+      const nbSegments = threadPoints.length - 1;
+      const woven = threadPoints
+        .slice(0, Math.min(remaining, nbSegments) + 1)
+        .map((peg) => transformation.transform(peg));
+      plotter.drawBrokenLine(woven, color, lineOpacity, operation, thickness);
+
+      if (remaining < nbSegments) {
+        const current = [woven[remaining], transformation.transform(threadPoints[remaining + 1])];
+        plotter.drawBrokenLine(
+          current,
+          ThreadingSingle.parseColor(highlightColor),
+          1,
+          ThreadingSingle.ECompositingOperation.PAINT,
+          Math.max(3, 1.5 * thickness)
+        );
+        plotter.drawPoints(current, highlightColor, Math.max(4, 2 * thickness));
+      }
+
+      remaining -= nbSegments;
+    });
+  }
+
+  // Only the perceptual error depends on the viewing distance and the frame width, nothing needs generating again
+  // Takes { viewingDistanceMm, frameWidthMm }, either of them
+  setViewingConditions(conditions) {
+    const { viewingDistanceMm, frameWidthMm } = { ...this.parameters, ...conditions };
+    Object.assign(this.parameters, { viewingDistanceMm, frameWidthMm });
+    this.computePerceptualError();
+  }
+
+  // Fits threadSpread to a photo of the woven piece, taken straight on and cropped to the frame, for the
+  // simulation to darken the board as much as the real thread. Each try scales the darkening of the current
+  // threads, blurred to forgive small misalignments. The exposure of the photo is fitted along as a gain, black
+  // staying black: an offset could not be told apart from a thinner thread. Monochrome only. Generate again with
+  // the returned threadSpread to use it.
+  calibrateThreadSpread(photo) {
+    if (this.parameters.mode !== "monochrome") {
+      throw new Error("Thread calibration needs a monochrome piece.");
+    }
+    if (this.nbSegments === 0) {
+      throw new Error("Thread calibration needs a piece with segments.");
+    }
+
+    const width = this.hiddenCanvas.width;
+    const height = this.hiddenCanvas.height;
+    const pixels = width * height;
+    const canvas = ThreadingSingle.createCanvas(width, height);
+    const context = canvas.getContext("2d");
+    context.drawImage(ThreadingSingle.toDrawableSource(photo), 0, 0, width, height);
+    const data = context.getImageData(0, 0, width, height).data;
+    const photoLuminance = new Float64Array(pixels);
+    for (let i = 0; i < pixels; i++) {
+      photoLuminance[i] = (data[4 * i] + data[4 * i + 1] + data[4 * i + 2]) / 3;
+    }
+
+    // Coverage summed over all the segments, each weighted by the fraction of the board its layer hides
+    const coverage = new Float64Array(pixels);
+    this.thread.iterateOnThreads(0, (threadPoints, color, layer = 0) => {
+      this.useLayer(layer);
+      const chords = this.prepareChordTable();
+      const hiding = 2 * this.hiddenLineOpacity;
+      for (let i = 0; i < threadPoints.length - 1; i++) {
+        const { entries, start, end } = chords.range(threadPoints[i].index, threadPoints[i + 1].index);
+        for (let j = start; j < end; j++) {
+          coverage[entries[j] >>> 8] += (hiding * (entries[j] & 0xff)) / 255;
+        }
+      }
+    });
+
+    const sigma = ThreadingSingle.CALIBRATION_BLUR_SIGMA;
+    const target = ThreadingSingle.Perception.gaussianBlur(photoLuminance, width, height, sigma);
+    const weights = ThreadingSingle.frameWeights(this.parameters.frameShape, width, height);
+    const invert = this.parameters.invertColors;
+
+    const fit = (scale) => {
+      const simulated = coverage.map((sum) => {
+        // Overlapping threads hide the board like the strokes of the preview do, not additively
+        const hidden = 1 - Math.exp(-scale * sum);
+        return 255 * (invert ? hidden : 1 - hidden);
+      });
+      const model = ThreadingSingle.Perception.gaussianBlur(simulated, width, height, sigma);
+
+      // Weighted least squares of target ≈ gain × model
+      let xx = 0;
+      let xy = 0;
+      for (let i = 0; i < pixels; i++) {
+        xx += weights[i] * model[i] * model[i];
+        xy += weights[i] * model[i] * target[i];
+      }
+      const gain = xx > 0 ? xy / xx : 0;
+
+      let error = 0;
+      let total = 0;
+      for (let i = 0; i < pixels; i++) {
+        error += weights[i] * (target[i] - gain * model[i]) ** 2;
+        total += weights[i];
+      }
+      return { scale, gain, error: Math.sqrt(error / total) };
+    };
+
+    // Golden section search on the logarithm of the scale
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    let low = Math.log(ThreadingSingle.CALIBRATION_SCALE_RANGE[0]);
+    let high = Math.log(ThreadingSingle.CALIBRATION_SCALE_RANGE[1]);
+    let left = fit(Math.exp(high - ratio * (high - low)));
+    let right = fit(Math.exp(low + ratio * (high - low)));
+    for (let i = 0; i < ThreadingSingle.CALIBRATION_ITERATIONS; i++) {
+      if (left.error < right.error) {
+        high = Math.log(right.scale);
+        right = left;
+        left = fit(Math.exp(high - ratio * (high - low)));
+      } else {
+        low = Math.log(left.scale);
+        left = right;
+        right = fit(Math.exp(low + ratio * (high - low)));
+      }
+    }
+
+    const best = left.error < right.error ? left : right;
+    if (!(best.gain > 0)) {
+      throw new Error("The photo does not match the piece: crop it to the frame and check the orientation.");
+    }
+
+    return {
+      threadSpread: Math.round(1000 * this.parameters.threadSpread * best.scale) / 1000,
+      gain: Math.round(1000 * best.gain) / 1000,
+      error: Math.round(best.error),
+    };
+  }
+
+  // The regions of the perceptual heatmap, more opaque where the error is higher
+  drawErrorHeatmap(plotter, color = "#dc2626") {
+    const heatmap = this.perceptualError.heatmap;
+    if (!heatmap) {
+      return;
+    }
 
-    this.thread.iterateOnThreads(fromSegment, (threadPoints, color) => {
-      const transformed = threadPoints.map((peg) => transformation.transform(peg));
-      plotter.drawBrokenLine(transformed, color, this.parameters.lineOpacity, operation, thickness);
+    const transformation = this.computeTransformation(plotter.size, plotter.margin);
+    const cellWidth = this.hiddenCanvas.width / heatmap.columns;
+    const cellHeight = this.hiddenCanvas.height / heatmap.rows;
+    const max = Math.max(...heatmap.values) || 1;
+
+    heatmap.values.forEach((value, index) => {
+      const column = index % heatmap.columns;
+      const row = Math.floor(index / heatmap.columns);
+      const from = transformation.transform({ x: column * cellWidth, y: row * cellHeight });
+      const to = transformation.transform({ x: (column + 1) * cellWidth, y: (row + 1) * cellHeight });
+      plotter.fillRectangle(from, to, color, (0.6 * value) / max);
     });
   }
 
+  // How much lighter (positive) or darker (negative) than the processed source the simulated piece is, pixel by
+  // pixel of the hidden canvas, as in the rendered luminance of computePerceptualError
+  computeResidualMap() {
+    const width = this.hiddenCanvas.width;
+    const height = this.hiddenCanvas.height;
+    const values = new Float32Array(width * height);
+    const sign = this.thread.residualSign(this.parameters.invertColors);
+
+    for (let i = 0; i < values.length; i++) {
+      const data = this.hiddenCanvasValues;
+      const sum = this.thread.residual(data, 4 * i) + this.thread.residual(data, 4 * i + 1);
+      values[i] = (2 * sign * (sum + this.thread.residual(data, 4 * i + 2))) / 3;
+    }
+
+    return { width, height, values };
+  }
+
   drawPegs(plotter) {
-    const transformation = this.computeTransformation(plotter.size);
+    const transformation = this.computeTransformation(plotter.size, plotter.margin);
     const radius = transformation.scaling * this.hiddenCanvasScale * 0.5;
     const points = this.pegs.map((peg) => transformation.transform(peg));
     plotter.drawPoints(points, "red", radius);
   }
 
+  // Peg numbers as used in the instructions, placed outwards from the centre of the frame
+  drawPegNumbers(plotter, fontSize) {
+    const transformation = this.computeTransformation(plotter.size, plotter.margin);
+    const center = transformation.transform({ x: 0.5 * this.hiddenCanvas.width, y: 0.5 * this.hiddenCanvas.height });
+    const color = this.parameters.invertColors && this.parameters.mode !== "palette" ? "#eee" : "#111";
+
+    for (const peg of this.pegs) {
+      const point = transformation.transform(peg);
+      const distance = Math.hypot(point.x - center.x, point.y - center.y) || 1;
+      const offset = 1.2 * fontSize;
+      const label = {
+        x: point.x + ((point.x - center.x) / distance) * offset,
+        y: point.y + ((point.y - center.y) / distance) * offset,
+      };
+      plotter.drawText(`${peg.index + 1}`, label, fontSize, color);
+    }
+  }
+
+  get pegSpacing() {
+    let total = 0;
+    this.pegs.forEach((peg, index) => {
+      const next = this.pegs[(index + 1) % this.pegs.length];
+      total += Math.hypot(next.x - peg.x, next.y - peg.y);
+    });
+    return this.pegs.length ? total / this.pegs.length : 0;
+  }
+
+  // frameWidth is the width of the frame itself in output units; numbering adds a margin around it
+  computeExportLayout(frameWidth, pegNumbers) {
+    const frameHeight = (frameWidth * this.hiddenCanvas.height) / this.hiddenCanvas.width;
+    const fontSize = pegNumbers
+      ? Math.min((0.7 * this.pegSpacing * frameWidth) / this.hiddenCanvas.width, 0.03 * frameWidth)
+      : 0;
+    const margin = 2.5 * fontSize;
+
+    return { width: frameWidth + 2 * margin, height: frameHeight + 2 * margin, margin, fontSize };
+  }
+
+  drawExport(plotter, layout, { pegs = false, pegNumbers = false } = {}) {
+    plotter.clear(this.backgroundColor);
+    this.drawThread(plotter, 0);
+
+    if (pegs || pegNumbers) {
+      this.drawPegs(plotter);
+    }
+
+    if (pegNumbers) {
+      this.drawPegNumbers(plotter, layout.fontSize);
+    }
+  }
+
+  exportSvg({ widthMm = 500, pegs = false, pegNumbers = false } = {}) {
+    const layout = this.computeExportLayout(widthMm, pegNumbers);
+    const plotter = new ThreadingSingle.SvgPlotter(layout.width, layout.height, layout.margin, "mm");
+    this.drawExport(plotter, layout, { pegs, pegNumbers });
+    return plotter.toString();
+  }
+
+  exportRaster({ widthMm = 500, dpi = 300, pegs = false, pegNumbers = false } = {}) {
+    const layout = this.computeExportLayout((widthMm * dpi) / 25.4, pegNumbers);
+    const width = Math.round(layout.width);
+    const height = Math.round(layout.height);
+
+    if (Math.max(width, height) > ThreadingSingle.MAX_EXPORT_SIDE) {
+      throw new RangeError(
+        `Export of ${width}x${height} pixels exceeds the ${ThreadingSingle.MAX_EXPORT_SIDE} pixel limit; lower the size or DPI.`
+      );
+    }
+
+    const canvas = ThreadingSingle.createCanvas(width, height);
+    const plotter = new ThreadingSingle.CanvasPlotter(canvas.getContext("2d"), layout.margin);
+    this.drawExport(plotter, layout, { pegs, pegNumbers });
+    return canvas;
+  }
+
   drawDebugView(context) {
+    this.updateHiddenCanvas();
     context.drawImage(this.hiddenCanvas, 0, 0, this.hiddenCanvas.width, this.hiddenCanvas.height);
   }
 
@@ -113,607 +505,2439 @@ class ThreadingSingle {
 
     if (this.nbSegments > maxSegments) {
       this.thread.lowerNbSegments(maxSegments);
-      this.resetHiddenCanvas();
-
-      this.thread.iterateOnThreads(0, (threadPoints, color) => {
-        ThreadingSingle.applyCanvasCompositing(
-          this.hiddenCanvasContext,
-          color,
-          this.lineOpacityInternal,
-          ThreadingSingle.ECompositingOperation.LIGHTEN
-        );
-
-        for (let i = 0; i < threadPoints.length - 1; i++) {
-          this.drawSegmentOnHiddenCanvas(threadPoints[i], threadPoints[i + 1]);
-        }
-      });
-
-      this.computeError();
+      this.replayHiddenCanvas();
+      this.recordErrorHistory();
       return true;
     }
 
     const now = ThreadingSingle.now();
     const startTime = now();
     let currentColor = null;
+    let currentLayer = null;
 
     while (this.nbSegments < maxSegments && now() - startTime < maxDurationMs) {
       const selection = this.thread.getThreadToGrow();
+      const layer = selection.layer ?? 0;
 
-      if (currentColor !== selection.color) {
-        ThreadingSingle.applyCanvasCompositing(
-          this.hiddenCanvasContext,
-          selection.color,
-          this.lineOpacityInternal,
-          ThreadingSingle.ECompositingOperation.LIGHTEN
-        );
-        this.thread.enableSamplingFor(selection.color);
+      if (currentColor !== selection.color || currentLayer !== layer) {
+        this.useLayer(layer);
+        this.applyHiddenCanvasCompositing(selection.color);
+        this.thread.enableSamplingFor(selection.color, this.hiddenLineOpacity);
         currentColor = selection.color;
+        currentLayer = layer;
       }
 
       this.computeSegment(selection.thread);
 
-      if (this.nbSegments % 100 === 0) {
-        this.computeError();
+      if (this.nbSegments % 100 === 0 || this.nbSegments === maxSegments) {
+        this.computeError(false);
+        const converged = this.parameters.stopMode === "convergence" && this.hasConverged();
+        const perceptual =
+          converged ||
+          this.nbSegments === maxSegments ||
+          this.nbSegments % ThreadingSingle.PERCEPTUAL_ERROR_INTERVAL === 0;
+        if (perceptual) {
+          this.computePerceptualError();
+        }
+        this.recordErrorHistory(perceptual);
+
+        // The segments reached become the target, so that everything waiting for nbLines sees the end
+        if (converged) {
+          this.parameters.nbLines = this.nbSegments;
+          break;
+        }
       }
     }
 
     return true;
   }
 
-  get instructions() {
-    const lines = [];
-
-    this.pegs.forEach((peg, index) => {
-      peg.name = `${index + 1}`;
-    });
-
-    this.thread.iterateOnThreads(0, (threadPoints) => {
-      const sequence = threadPoints;
-      for (let i = 0; i < sequence.length; i++) {
-        lines.push(`${sequence[i].name}`);
-      }
+  // The point of the current error, replacing the ones at or after the current number of segments. The
+  // perceptual values are null when perceptualError was not computed for this point.
+  recordErrorHistory(perceptual = true) {
+    const segments = this.nbSegments;
+    this.errorHistory = this.errorHistory.filter((point) => point.segments < segments);
+    this.errorHistory.push({
+      segments,
+      meanSquare: this.error.meanSquare,
+      blurredMeanSquare: perceptual ? this.perceptualError.blurredMeanSquare : null,
+      ssim: perceptual ? this.perceptualError.ssim : null,
     });
-
-    return lines.join("\n");
-  }
-
-  computeTransformation(size) {
-    return new ThreadingSingle.Transformation(size, this.hiddenCanvas);
   }
 
-  initializeHiddenCanvasLineProperties() {
-    const width = this.parameters.lineThickness * this.hiddenCanvasScale;
+  // Whether the current error is less than convergenceThreshold below the one convergenceWindow segments ago
+  hasConverged() {
+    const reference = this.errorHistory.findLast(
+      (point) => point.segments <= this.nbSegments - this.parameters.convergenceWindow
+    );
 
-    if (width <= 1) {
-      this.lineOpacityInternal = 0.5 * this.parameters.lineOpacity * width;
-      this.hiddenCanvasContext.lineWidth = 1;
-    } else {
-      this.lineOpacityInternal = 0.5 * this.parameters.lineOpacity;
-      this.hiddenCanvasContext.lineWidth = width;
+    if (!reference || reference.meanSquare <= 0) {
+      return false;
     }
+    return (reference.meanSquare - this.error.meanSquare) / reference.meanSquare < this.parameters.convergenceThreshold;
   }
 
-  resetHiddenCanvas() {
-    const size = 100 * this.hiddenCanvasScale;
+  // Local search once the greedy search is done, for at most maxDurationMs. Goes through the positions of the
+  // threads, re-routing the thread through a better peg or dropping a peg to spend its segment at the end of
+  // the thread instead; the number of segments and the peg rules are kept. Moves are judged on the weighted
+  // squared error of the pixels they touch, then the error is computed again and a call that made it worse
+  // is undone. Calls go on from where the previous one stopped, and converged tells that a whole pass found
+  // nothing left to improve.
+  refine(maxDurationMs) {
+    const before = this.error;
+    const threads = this.thread.listThreads();
+    const total = threads.reduce((sum, { thread }) => sum + thread.length, 0);
+    const paint = this.thread.hiddenCompositingOperation === ThreadingSingle.ECompositingOperation.PAINT;
+
+    // An opaque stroke cannot be erased from the values
+    if (total === 0 || (paint && this.hiddenLineOpacity >= 1)) {
+      return { before, after: before, moves: 0, converged: true };
+    }
 
-    ThreadingSingle.resetCanvasCompositing(this.hiddenCanvasContext);
+    const saved = this.exportThread();
+    const now = ThreadingSingle.now();
+    const startTime = now();
+    let moves = 0;
+
+    while (this.refineStall < total && now() - startTime < maxDurationMs) {
+      let position = this.refineCursor % total;
+      let index = 0;
+      while (position >= threads[index].thread.length) {
+        position -= threads[index].thread.length;
+        index++;
+      }
 
-    const origin = this.parameters.cropOrigin || { x: 0, y: 0 };
-    const requestedSize = Number(this.parameters.cropSize);
-    const maxSquare = Math.min(this.sourceImage.width, this.sourceImage.height);
-    const cropSize = ThreadingSingle.clamp(
-      Number.isFinite(requestedSize) && requestedSize > 0 ? Math.round(requestedSize) : maxSquare,
-      1,
-      maxSquare
-    );
+      const { thread, color, layer = 0 } = threads[index];
+      this.useLayer(layer);
+      this.applyHiddenCanvasCompositing(color);
+      this.thread.enableSamplingFor(color, this.hiddenLineOpacity);
 
-    const sourceX = ThreadingSingle.clamp(Math.round(origin.x), 0, this.sourceImage.width - cropSize);
-    const sourceY = ThreadingSingle.clamp(Math.round(origin.y), 0, this.sourceImage.height - cropSize);
+      if (this.reroutePeg(thread, position) || this.dropPeg(thread, position)) {
+        moves++;
+        this.refineStall = 0;
+      } else {
+        this.refineStall++;
+      }
+      this.refineCursor = (this.refineCursor + 1) % total;
+    }
 
-    this.hiddenCanvas.width = size;
-    this.hiddenCanvas.height = size;
-    this.hiddenCanvasContext.drawImage(
-      this.sourceImage,
-      sourceX,
-      sourceY,
-      cropSize,
-      cropSize,
-      0,
-      0,
-      size,
-      size
-    );
+    const converged = this.refineStall >= total;
+    this.replayHiddenCanvas();
 
-    const image = this.hiddenCanvasContext.getImageData(0, 0, size, size);
-    this.thread.adjustCanvasData(image.data, this.parameters.invertColors);
-    this.hiddenCanvasContext.putImageData(image, 0, 0);
+    if (this.error.meanSquare > before.meanSquare) {
+      this.importThread(saved);
+      return { before, after: this.error, moves: 0, converged };
+    }
 
-    this.computeError();
-    this.initializeHiddenCanvasLineProperties();
+    this.recordErrorHistory();
+    return { before, after: this.error, moves, converged };
   }
 
-  computeError() {
-    this.uploadCanvasDataToCPU();
-
-    const width = this.hiddenCanvasData.width;
-    const height = this.hiddenCanvasData.height;
-    const pixels = width * height;
-    const totalChannels = 3 * pixels;
+  // Replaces the peg at position with the one that lowers the error most, trying exactly only the candidates
+  // with the best potential
+  reroutePeg(thread, position) {
+    const path = thread.slice(Math.max(0, position - 1), position + 2);
+    if (path.length < 2) {
+      return false;
+    }
 
-    this.error = { average: 0, meanSquare: 0, variance: 0 };
+    const previous = thread[position - 1];
+    const current = thread[position];
+    const next = thread[position + 1];
+    const history = this.parameters.historyLength;
+    const nearby = [
+      ...thread.slice(Math.max(0, position - history), position),
+      ...thread.slice(position + 1, position + 1 + history),
+    ];
+    const pathThrough = (peg) => [previous, peg, next].filter(Boolean);
+
+    const removal = this.changePath(path, true);
+    const candidates = [];
 
-    for (let i = 0; i < pixels; i++) {
-      const r = 127 - this.hiddenCanvasData.data[4 * i + 0];
-      const g = 127 - this.hiddenCanvasData.data[4 * i + 1];
-      const b = 127 - this.hiddenCanvasData.data[4 * i + 2];
+    for (const peg of this.pegs) {
+      if (peg === current || nearby.includes(peg)) {
+        continue;
+      }
+      if ((previous && this.arePegsTooClose(previous, peg)) || (next && this.arePegsTooClose(peg, next))) {
+        continue;
+      }
+      if ((previous && this.limitViolation(previous, peg)) || (next && this.limitViolation(peg, next, []))) {
+        continue;
+      }
 
-      this.error.average += r + g + b;
-      this.error.meanSquare += r * r + g * g + b * b;
+      const potential =
+        (previous ? this.computeSegmentPotential(previous, peg) : 0) +
+        (next ? this.computeSegmentPotential(peg, next) : 0);
+      candidates.push({ peg, potential });
     }
 
-    this.error.average = Math.round(this.error.average / totalChannels);
-    this.error.meanSquare = Math.round(this.error.meanSquare / totalChannels);
+    candidates.sort((a, b) => b.potential - a.potential);
 
-    for (let i = 0; i < pixels; i++) {
-      const r = 127 - this.hiddenCanvasData.data[4 * i + 0];
-      const g = 127 - this.hiddenCanvasData.data[4 * i + 1];
-      const b = 127 - this.hiddenCanvasData.data[4 * i + 2];
+    let best = { peg: current, change: -removal };
+    for (const { peg } of candidates.slice(0, ThreadingSingle.REFINE_CANDIDATES)) {
+      const change = this.changePath(pathThrough(peg), false);
+      this.changePath(pathThrough(peg), true);
 
-      const average = (r + g + b) / 3 - this.error.average;
-      this.error.variance += average * average;
+      if (change < best.change - ThreadingSingle.REFINE_MIN_GAIN) {
+        best = { peg, change };
+      }
     }
 
-    this.error.variance = Math.round(this.error.variance / totalChannels);
+    this.changePath(pathThrough(best.peg), false);
+    thread[position] = best.peg;
+    this.pegWraps[current.index]--;
+    this.pegWraps[best.peg.index]++;
+    return best.peg !== current;
   }
 
-  uploadCanvasDataToCPU() {
-    if (this.hiddenCanvasData === null) {
-      const width = this.hiddenCanvas.width;
-      const height = this.hiddenCanvas.height;
-      this.hiddenCanvasData = this.hiddenCanvasContext.getImageData(0, 0, width, height);
+  // Removes the peg at position, joining its neighbours, and grows the thread by one segment at its end
+  dropPeg(thread, position) {
+    if (position >= thread.length - 1 || thread.length < 3) {
+      return false;
+    }
+
+    const removed = thread.slice(Math.max(0, position - 1), position + 2);
+    const joined = position === 0 ? [] : [removed[0], removed[2]];
+    const [peg] = thread.splice(position, 1);
+
+    // The step to the joined peg and the history of the steps after it change, unless the first peg went
+    const end = position === 0 ? 0 : Math.min(thread.length, position + this.parameters.historyLength);
+    for (let i = position; i < end; i++) {
+      if (this.stepViolation(thread, i) || (i === position && this.limitViolation(joined[0], joined[1], []))) {
+        thread.splice(position, 0, peg);
+        return false;
+      }
     }
-  }
 
-  drawSegmentOnHiddenCanvas(from, to) {
-    this.hiddenCanvasContext.beginPath();
-    this.hiddenCanvasContext.moveTo(from.x, from.y);
-    this.hiddenCanvasContext.lineTo(to.x, to.y);
-    this.hiddenCanvasContext.stroke();
-    this.hiddenCanvasContext.closePath();
+    let change = this.changePath(removed, true) + this.changePath(joined, false);
+    const last = thread[thread.length - 1];
+    const recent = thread.slice(thread.length - Math.min(thread.length, this.parameters.historyLength));
+    const appended = this.computeBestNextPeg(last, recent);
 
-    this.hiddenCanvasData = null;
-  }
+    if (appended && !recent.includes(appended) && !this.limitViolation(last, appended)) {
+      thread.push(appended);
+      change += this.changePath([last, appended], false);
 
-  computeSegment(thread) {
-    let startPeg;
-    let nextPeg;
+      if (change < -ThreadingSingle.REFINE_MIN_GAIN) {
+        this.pegWraps[peg.index]--;
+        this.pegWraps[appended.index]++;
+        return true;
+      }
 
-    if (thread.length === 0) {
-      const seed = this.computeBestStartingSegment();
-      thread.push(seed.peg1);
-      startPeg = seed.peg1;
-      nextPeg = seed.peg2;
-    } else {
-      startPeg = thread[thread.length - 1];
-      const historyLength = Math.min(thread.length, 20);
-      const recent = thread.slice(-historyLength);
-      nextPeg = this.computeBestNextPeg(startPeg, recent);
+      this.changePath([last, appended], true);
+      thread.pop();
     }
 
-    thread.push(nextPeg);
-    this.drawSegmentOnHiddenCanvas(startPeg, nextPeg);
+    this.changePath(joined, true);
+    this.changePath(removed, false);
+    thread.splice(position, 0, peg);
+    return false;
   }
 
-  computeBestStartingSegment() {
-    const candidates = [];
-    let bestScore = Number.NEGATIVE_INFINITY;
-    const step = 1 + Math.floor(this.pegs.length / 100);
-
-    for (let i = 0; i < this.pegs.length; i += step) {
-      for (let j = i + 1; j < this.pegs.length; j += step) {
-        const peg1 = this.pegs[i];
-        const peg2 = this.pegs[j];
-
-        if (this.arePegsTooClose(peg1, peg2)) {
-          continue;
-        }
+  // Draws, or erases in reverse order, the segments along path and returns the change of the error they cause
+  changePath(path, erase) {
+    let change = 0;
 
-        const score = this.computeSegmentPotential(peg1, peg2);
+    for (let i = 0; i < path.length - 1; i++) {
+      const [from, to] = erase ? [path[path.length - i - 2], path[path.length - i - 1]] : [path[i], path[i + 1]];
+      const before = this.computeSegmentError(from, to);
 
-        if (score > bestScore) {
-          bestScore = score;
-          candidates.length = 0;
-          candidates.push({ peg1, peg2 });
-        } else if (score === bestScore) {
-          candidates.push({ peg1, peg2 });
-        }
+      if (erase) {
+        this.eraseSegmentFromHiddenCanvas(from, to);
+      } else {
+        this.drawSegmentOnHiddenCanvas(from, to);
       }
+      this.chordPasses[this.chordKey(from.index, to.index)] += erase ? -1 : 1;
+      change += this.computeSegmentError(from, to) - before;
     }
 
-    return ThreadingSingle.randomOne(candidates);
+    return change;
   }
 
-  computeBestNextPeg(fromPeg, recentHistory) {
-    const candidates = [];
-    let bestScore = Number.NEGATIVE_INFINITY;
+  exportThread() {
+    return this.thread.serialize();
+  }
 
-    for (const candidate of this.pegs) {
-      if (this.arePegsTooClose(fromPeg, candidate) || recentHistory.includes(candidate)) {
-        continue;
-      }
+  importThread(state, replay = true) {
+    this.thread.restore(state, this.pegs);
+    this.refineStall = 0;
 
-      const score = this.computeSegmentPotential(fromPeg, candidate);
+    if (replay) {
+      this.replayHiddenCanvas();
+      this.recordErrorHistory();
+    }
+  }
 
-      if (score > bestScore) {
-        bestScore = score;
-        candidates.length = 0;
-        candidates.push(candidate);
-      } else if (score === bestScore) {
-        candidates.push(candidate);
-      }
+  // Checks 0-based peg sequences, one per thread, against the rules of the search. Each violation gives
+  // the thread, the position in the sequence and the rule: "peg-count", "too-close", "history", "too-long",
+  // "chord-passes" or "peg-wraps", with the limit of the options it breaks for the last four.
+  validateSequences(sequences) {
+    const violations = [];
+    const expected = this.thread.colors.length;
+    const { historyLength, maxChordLength, maxChordPasses, maxPegWraps } = this.parameters;
+    const limits = { history: historyLength, "too-long": maxChordLength, "chord-passes": maxChordPasses };
+    limits["peg-wraps"] = maxPegWraps;
+    const chordPasses = new Map();
+    const pegWraps = new Uint32Array(this.pegs.length);
+
+    if (sequences.length !== expected) {
+      violations.push({ rule: "thread-count", expected, actual: sequences.length });
     }
 
-    return ThreadingSingle.randomOne(candidates);
-  }
+    sequences.forEach((sequence, thread) => {
+      sequence.forEach((index, position) => {
+        if (!Number.isInteger(index) || index < 0 || index >= this.pegs.length) {
+          violations.push({ rule: "peg-count", thread, position, to: index });
+          return;
+        }
 
-  computeSegmentPotential(from, to) {
-    this.uploadCanvasDataToCPU();
+        const wraps = ++pegWraps[index];
+        const previous = sequence[position - 1];
+        if (position === 0 || !this.pegs[previous]) {
+          if (maxPegWraps !== null && wraps > maxPegWraps) {
+            violations.push({ rule: "peg-wraps", thread, position, from: index, to: index, limit: maxPegWraps });
+          }
+          return;
+        }
 
-    const length = Math.hypot(from.x - to.x, from.y - to.y);
-    const steps = Math.ceil(length);
+        const key = this.chordKey(previous, index);
+        const passes = (chordPasses.get(key) || 0) + 1;
+        chordPasses.set(key, passes);
 
-    if (steps === 0) {
-      return 0;
-    }
+        const rule =
+          this.stepViolation(sequence, position, (i) => this.pegs[i]) ||
+          this.exceededLimit(this.pegs[previous], this.pegs[index], passes, wraps);
+        if (rule) {
+          violations.push({ rule, thread, position, from: previous, to: index, limit: limits[rule] });
+        }
+      });
+    });
 
-    let score = 0;
+    return violations;
+  }
 
-    for (let i = 0; i < steps; i++) {
-      const t = (i + 1) / (steps + 1);
-      const samplePoint = { x: ThreadingSingle.lerp(from.x, to.x, t), y: ThreadingSingle.lerp(from.y, to.y, t) };
-      score += 127 - (this.sampleCanvasData(samplePoint) + 255 * this.lineOpacityInternal);
-    }
+  // Rule broken by the step to the given position of a sequence, "too-close" or "history", or null. The
+  // sequence holds pegs, or anything toPeg maps to them such as indices.
+  stepViolation(sequence, position, toPeg = (peg) => peg) {
+    const peg = sequence[position];
 
-    return score / steps;
+    if (this.arePegsTooClose(toPeg(sequence[position - 1]), toPeg(peg))) {
+      return "too-close";
+    }
+    if (sequence.slice(Math.max(0, position - this.parameters.historyLength), position).includes(peg)) {
+      return "history";
+    }
+    return null;
   }
 
-  sampleCanvasData(point) {
-    const width = this.hiddenCanvasData.width;
-    const height = this.hiddenCanvasData.height;
+  // Replaces the thread with the given 0-based peg sequences, e.g. from old instructions, and computes the error
+  importSequences(sequences) {
+    const violations = this.validateSequences(sequences);
+    const blocking = violations.find(({ rule }) => rule === "thread-count" || rule === "peg-count");
+    if (blocking) {
+      throw new RangeError(`Cannot import the sequences: ${blocking.rule} violation.`);
+    }
 
-    const minX = ThreadingSingle.clamp(Math.floor(point.x), 0, width - 1);
-    const maxX = ThreadingSingle.clamp(Math.ceil(point.x), 0, width - 1);
-    const minY = ThreadingSingle.clamp(Math.floor(point.y), 0, height - 1);
-    const maxY = ThreadingSingle.clamp(Math.ceil(point.y), 0, height - 1);
+    this.importThread({ ...this.exportThread(), sequences });
+    return violations;
+  }
 
-    const topLeft = this.sampleCanvasPixel(minX, minY);
-    const topRight = this.sampleCanvasPixel(maxX, minY);
-    const bottomLeft = this.sampleCanvasPixel(minX, maxY);
-    const bottomRight = this.sampleCanvasPixel(maxX, maxY);
+  replayHiddenCanvas() {
+    this.resetHiddenCanvas();
+    this.resetUsage();
 
-    const fracX = point.x % 1;
-    const fracY = point.y % 1;
+    this.thread.iterateOnThreads(0, (threadPoints, color, layer = 0) => {
+      this.useLayer(layer);
+      this.applyHiddenCanvasCompositing(color);
 
-    const top = ThreadingSingle.lerp(topLeft, topRight, fracX);
-    const bottom = ThreadingSingle.lerp(bottomLeft, bottomRight, fracX);
+      threadPoints.forEach((peg, i) => {
+        this.pegWraps[peg.index]++;
+        if (i > 0) {
+          this.drawSegmentOnHiddenCanvas(threadPoints[i - 1], peg);
+          this.chordPasses[this.chordKey(threadPoints[i - 1].index, peg.index)]++;
+        }
+      });
+    });
 
-    return ThreadingSingle.lerp(top, bottom, fracY);
+    this.computeError();
   }
 
-  sampleCanvasPixel(x, y) {
-    const index = 4 * (x + y * this.hiddenCanvasData.width);
-    return this.thread.sampleCanvas(this.hiddenCanvasData.data, index);
+  // One peg number per line, with a blank line between the threads of each colour
+  get instructions() {
+    return this.formatInstructions();
   }
 
-  computePegs() {
-    const referenceSize = 1000;
-    const ratio = this.hiddenCanvas.width / this.hiddenCanvas.height;
-    const targetSize =
-      ratio > 1
-        ? { width: referenceSize, height: Math.round(referenceSize / ratio) }
-        : { width: Math.round(referenceSize * ratio), height: referenceSize };
-
-    const pegs = [];
+  // With directions, each peg the thread turns around is followed by the symbol of its wrap direction
+  formatInstructions({ directions = false } = {}) {
+    return this.threadSections
+      .map((section) =>
+        section.pegs
+          .map((peg, i) => {
+            const direction = section.directions[i];
+            return directions && direction ? `${peg} ${ThreadingSingle.WRAP_SYMBOLS[direction]}` : `${peg}`;
+          })
+          .join("\n")
+      )
+      .join("\n\n");
+  }
 
-    this.arePegsTooClose = (a, b) => {
-      const delta = Math.abs(a.angle - b.angle);
-      return Math.min(delta, ThreadingSingle.TWO_PI - delta) <= ThreadingSingle.MIN_SEGMENT_DISTANCE;
-    };
+  // One entry per thread colour, and per layer with layers, with its 1-based peg numbers, the direction the
+  // thread goes around each of them, its length in frame widths and its layer or null
+  get threadSections() {
+    const sections = [];
 
-    const radius = 0.5 * Math.min(targetSize.width, targetSize.height);
-    const centerX = 0.5 * targetSize.width;
-    const centerY = 0.5 * targetSize.height;
-    const angleStep = ThreadingSingle.TWO_PI / this.parameters.pegsCount;
+    this.thread.iterateOnThreads(0, (threadPoints, color, layer = 0) => {
+      let length = 0;
+      for (let i = 0; i < threadPoints.length - 1; i++) {
+        length += Math.hypot(threadPoints[i + 1].x - threadPoints[i].x, threadPoints[i + 1].y - threadPoints[i].y);
+      }
 
-    for (let i = 0; i < this.parameters.pegsCount; i++) {
-      const angle = i * angleStep;
-      pegs.push({
-        x: centerX + radius * Math.cos(angle),
-        y: centerY + radius * Math.sin(angle),
-        angle,
+      sections.push({
+        color,
+        layer: this.hasLayers ? layer : null,
+        pegs: threadPoints.map((peg) => peg.index + 1),
+        directions: threadPoints.map((peg, i) =>
+          ThreadingSingle.wrapDirection(threadPoints[i - 1], peg, threadPoints[i + 1])
+        ),
+        length: length / this.hiddenCanvas.width,
       });
-    }
-
-    for (const peg of pegs) {
-      peg.x *= this.hiddenCanvas.width / targetSize.width;
-      peg.y *= this.hiddenCanvas.height / targetSize.height;
-    }
+    });
 
-    return pegs;
+    return sections;
   }
 
-  static now() {
-    if (typeof performance !== "undefined" && typeof performance.now === "function") {
-      return () => performance.now();
-    }
-    return () => Date.now();
-  }
+  // Thread per colour for a frame frameWidthMm wide: the chords plus wrapAllowanceMm for every peg of the
+  // sequence, the first and last ones being tied. The weaving time counts WEAVING_SECONDS_PER_STEP a segment.
+  computeThreadUsage(frameWidthMm = this.parameters.frameWidthMm) {
+    const threads = this.threadSections.map((section) => ({
+      color: section.color,
+      lengthMm: section.length * frameWidthMm + section.pegs.length * this.parameters.wrapAllowanceMm,
+    }));
 
-  static clamp(value, min, max) {
-    if (value < min) return min;
-    if (value > max) return max;
-    return value;
+    return {
+      threads,
+      lengthMm: threads.reduce((sum, thread) => sum + thread.lengthMm, 0),
+      weavingSeconds: this.nbSegments * ThreadingSingle.WEAVING_SECONDS_PER_STEP,
+    };
   }
 
-  static lerp(a, b, t) {
-    return a * (1 - t) + b * t;
+  computeTransformation(size, margin = 0) {
+    return new ThreadingSingle.Transformation(size, this.hiddenCanvas, margin);
   }
 
-  static randomOne(array) {
-    if (!array.length) {
+  // Thin threads are drawn one pixel wide with an opacity that makes up for the coverage of the pixels. Every
+  // layer gets its own thread, and the piece without layers is a single one.
+  initializeHiddenCanvasLineProperties() {
+    const layers = this.hasLayers ? this.parameters.layers : [{}];
+
+    this.layerStyles = layers.map((layer) => {
+      const { threadDiameterMm, threadSpread, frameWidthMm, lineThickness, lineOpacity } = {
+        ...this.parameters,
+        ...layer,
+      };
+      const width =
+        threadDiameterMm > 0
+          ? (threadDiameterMm * threadSpread * this.hiddenCanvas.width) / frameWidthMm
+          : lineThickness * this.hiddenCanvasScale * threadSpread;
+
+      return {
+        threadWidth: width,
+        lineOpacity,
+        lineOpacityInternal: width <= 1 ? 0.5 * lineOpacity * width : 0.5 * lineOpacity,
+        hiddenLineWidth: Math.max(1, width),
+      };
+    });
+    this.useLayer(0);
+  }
+
+  // The thread of a layer becomes the one the search, the hidden canvas and the thread widths work with
+  useLayer(index) {
+    const style = this.layerStyles[index];
+    this.currentLayer = index;
+    this.threadWidth = style.threadWidth;
+    this.lineOpacityInternal = style.lineOpacityInternal;
+    this.hiddenLineWidth = style.hiddenLineWidth;
+  }
+
+  get frameAspectRatio() {
+    return ThreadingSingle.frameAspectRatio(this.parameters);
+  }
+
+  // The crop keeps the aspect ratio of the frame; cropSize is either its width or { width, height }
+  computeCropRectangle() {
+    const aspectRatio = this.frameAspectRatio;
+    const origin = this.parameters.cropOrigin || { x: 0, y: 0 };
+    const requested = this.parameters.cropSize;
+    const requestedWidth = Number(requested !== null && typeof requested === "object" ? requested.width : requested);
+    const maxWidth = Math.min(this.sourceImage.width, this.sourceImage.height * aspectRatio);
+
+    const width = ThreadingSingle.clamp(
+      Number.isFinite(requestedWidth) && requestedWidth > 0 ? Math.round(requestedWidth) : Math.floor(maxWidth),
+      1,
+      Math.floor(maxWidth)
+    );
+    const height = ThreadingSingle.clamp(Math.round(width / aspectRatio), 1, this.sourceImage.height);
+
+    return {
+      x: ThreadingSingle.clamp(Math.round(origin.x), 0, this.sourceImage.width - width),
+      y: ThreadingSingle.clamp(Math.round(origin.y), 0, this.sourceImage.height - height),
+      width,
+      height,
+    };
+  }
+
+  resetHiddenCanvas() {
+    const { width, height } = ThreadingSingle.hiddenCanvasSize(this.parameters);
+    const crop = this.computeCropRectangle();
+
+    this.hiddenCanvas.width = width;
+    this.hiddenCanvas.height = height;
+    this.hiddenCanvasContext.drawImage(
+      this.sourceImage,
+      crop.x,
+      crop.y,
+      crop.width,
+      crop.height,
+      0,
+      0,
+      width,
+      height
+    );
+
+    const image = this.hiddenCanvasContext.getImageData(0, 0, width, height);
+    if (this.parameters.preprocessing) {
+      ThreadingSingle.Preprocessor.apply(image.data, width, height, this.parameters.preprocessing, {
+        frameShape: this.parameters.frameShape,
+        background: ThreadingSingle.parseColor(this.backgroundColor),
+      });
+    }
+
+    this.sourceLuminance = new Float64Array(width * height);
+    for (let i = 0; i < this.sourceLuminance.length; i++) {
+      this.sourceLuminance[i] = (image.data[4 * i] + image.data[4 * i + 1] + image.data[4 * i + 2]) / 3;
+    }
+    this.thread.adjustCanvasData(image.data, this.parameters.invertColors);
+    this.hiddenCanvasContext.putImageData(image, 0, 0);
+    this.hiddenCanvasValues = Float64Array.from(image.data);
+    this.hiddenCanvasDirty = false;
+    this.importance = this.computeImportance(crop, width, height);
+
+    this.computeError(false);
+    this.initializeHiddenCanvasLineProperties();
+  }
+
+  computeError(perceptual = true) {
+    const pixels = this.hiddenCanvas.width * this.hiddenCanvas.height;
+    const data = this.hiddenCanvasValues;
+    const importance = this.importance;
+    let totalWeight = 0;
+
+    this.error = { average: 0, meanSquare: 0, variance: 0 };
+
+    // Pixels count according to the importance mask, if any
+    for (let i = 0; i < pixels; i++) {
+      const weight = importance === null ? 1 : importance[i];
+      const r = this.thread.residual(data, 4 * i + 0);
+      const g = this.thread.residual(data, 4 * i + 1);
+      const b = this.thread.residual(data, 4 * i + 2);
+
+      this.error.average += weight * (r + g + b);
+      this.error.meanSquare += weight * (r * r + g * g + b * b);
+      totalWeight += weight;
+    }
+
+    const totalChannels = 3 * totalWeight;
+    this.error.average = Math.round(this.error.average / totalChannels);
+    this.error.meanSquare = Math.round(this.error.meanSquare / totalChannels);
+
+    for (let i = 0; i < pixels; i++) {
+      const weight = importance === null ? 1 : importance[i];
+      const r = this.thread.residual(data, 4 * i + 0);
+      const g = this.thread.residual(data, 4 * i + 1);
+      const b = this.thread.residual(data, 4 * i + 2);
+
+      const average = (r + g + b) / 3 - this.error.average;
+      this.error.variance += weight * average * average;
+    }
+
+    this.error.variance = Math.round(this.error.variance / totalChannels);
+    if (perceptual) {
+      this.computePerceptualError();
+    }
+  }
+
+  // Closer to how the piece looks: the residual blurred by the detail the eye no longer resolves from
+  // viewingDistanceMm, the SSIM of the luminance of the simulated piece against the processed source as both are
+  // seen from there, and the blurred error over a grid of regions. Weighted by the importance mask like computeError.
+  computePerceptualError() {
+    const width = this.hiddenCanvas.width;
+    const height = this.hiddenCanvas.height;
+    const pixels = width * height;
+    const values = this.hiddenCanvasValues;
+    const sign = this.thread.residualSign(this.parameters.invertColors);
+    const residuals = [0, 1, 2].map(() => new Float64Array(pixels));
+    const rendered = new Float64Array(pixels);
+
+    for (let i = 0; i < pixels; i++) {
+      let sum = 0;
+      for (let channel = 0; channel < 3; channel++) {
+        const residual = this.thread.residual(values, 4 * i + channel);
+        residuals[channel][i] = residual;
+        sum += residual;
+      }
+      rendered[i] = ThreadingSingle.clamp(this.sourceLuminance[i] + (2 * sign * sum) / 3, 0, 255);
+    }
+
+    const sigma = ThreadingSingle.Perception.viewingBlurSigma(
+      this.parameters.viewingDistanceMm,
+      this.parameters.frameWidthMm,
+      width
+    );
+    const blurred = residuals.map((plane) => ThreadingSingle.Perception.gaussianBlur(plane, width, height, sigma));
+    const squared = new Float64Array(pixels);
+    for (let i = 0; i < pixels; i++) {
+      squared[i] = (blurred[0][i] ** 2 + blurred[1][i] ** 2 + blurred[2][i] ** 2) / 3;
+    }
+
+    const heatmap = ThreadingSingle.Perception.regionAverages(squared, width, height, this.importance);
+    const ssim = ThreadingSingle.Perception.ssim(
+      ThreadingSingle.Perception.gaussianBlur(this.sourceLuminance, width, height, sigma),
+      ThreadingSingle.Perception.gaussianBlur(rendered, width, height, sigma),
+      width,
+      height,
+      this.importance
+    );
+
+    this.perceptualError = {
+      blurredMeanSquare: Math.round(ThreadingSingle.Perception.weightedMean(squared, this.importance)),
+      ssim: Math.round(1000 * ssim) / 1000,
+      heatmap: { ...heatmap, values: heatmap.values.map(Math.round) },
+    };
+  }
+
+  // Weight of every hidden canvas pixel from the importanceMask option, a { width, height, data } grid of
+  // values from 0 to 255 over the whole source image where 128 is neutral. Null without a mask.
+  computeImportance(crop, width, height) {
+    const mask = this.parameters.importanceMask;
+    if (!mask) {
       return null;
     }
 
-    const index = Math.floor(Math.random() * array.length);
-    return array[index];
+    if (!(mask.width > 0 && mask.height > 0 && mask.data && mask.data.length === mask.width * mask.height)) {
+      throw new TypeError("importanceMask expects { width, height, data } with one value per mask pixel.");
+    }
+
+    const importance = new Float32Array(width * height);
+    const scaleX = mask.width / this.sourceImage.width;
+    const scaleY = mask.height / this.sourceImage.height;
+
+    for (let y = 0; y < height; y++) {
+      const sourceY = crop.y + ((y + 0.5) * crop.height) / height;
+      const maskY = ThreadingSingle.clamp(Math.floor(sourceY * scaleY), 0, mask.height - 1);
+
+      for (let x = 0; x < width; x++) {
+        const sourceX = crop.x + ((x + 0.5) * crop.width) / width;
+        const maskX = ThreadingSingle.clamp(Math.floor(sourceX * scaleX), 0, mask.width - 1);
+        importance[y * width + x] = ThreadingSingle.importanceWeight(mask.data[maskY * mask.width + maskX]);
+      }
+    }
+
+    return importance;
   }
 
-  static rawColorChannels(color) {
-    switch (color) {
-      case ThreadingSingle.EColor.MONOCHROME:
-        return { r: 1, g: 1, b: 1 };
-      case ThreadingSingle.EColor.RED:
-        return { r: 1, g: 0, b: 0 };
-      case ThreadingSingle.EColor.GREEN:
-        return { r: 0, g: 1, b: 0 };
-      case ThreadingSingle.EColor.BLUE:
-        return { r: 0, g: 0, b: 1 };
+  // Copies the values back to the canvas, which only the debug view reads
+  updateHiddenCanvas() {
+    if (!this.hiddenCanvasDirty) {
+      return;
+    }
+
+    const image = this.hiddenCanvasContext.createImageData(this.hiddenCanvas.width, this.hiddenCanvas.height);
+    image.data.set(this.hiddenCanvasValues);
+    this.hiddenCanvasContext.putImageData(image, 0, 0);
+    this.hiddenCanvasDirty = false;
+  }
+
+  // Built on first use only, so that a replica which just draws the thread never pays for it. Layers with the
+  // same line width share one.
+  prepareChordTable() {
+    if (!this.chordTables.has(this.hiddenLineWidth)) {
+      this.chordTables.set(
+        this.hiddenLineWidth,
+        new ThreadingSingle.ChordTable(
+          this.pegs,
+          this.hiddenCanvas.width,
+          this.hiddenCanvas.height,
+          this.hiddenLineWidth
+        )
+      );
+    }
+    return this.chordTables.get(this.hiddenLineWidth);
+  }
+
+  // What a canvas stroke with the compositing of the thread would do, applied by drawSegmentOnHiddenCanvas.
+  // Lightening adds up without the saturation of a canvas, left to the readers, so that it can be erased.
+  applyHiddenCanvasCompositing(color) {
+    const channels = ThreadingSingle.rawColorChannels(color);
+    const paint = this.thread.hiddenCompositingOperation === ThreadingSingle.ECompositingOperation.PAINT;
+    const intensity = paint ? 255 : 255 * this.hiddenLineOpacity;
+
+    this.hiddenStroke = {
+      paint,
+      opacity: this.hiddenLineOpacity,
+      channels: [intensity * channels.r, intensity * channels.g, intensity * channels.b],
+    };
+  }
+
+  drawSegmentOnHiddenCanvas(from, to) {
+    const chords = this.prepareChordTable();
+    const { entries, start, end } = chords.range(from.index, to.index);
+    const values = this.hiddenCanvasValues;
+    const { paint, opacity, channels } = this.hiddenStroke;
+
+    for (let i = start; i < end; i++) {
+      const entry = entries[i];
+      const offset = 4 * (entry >>> 8);
+      const coverage = (entry & 0xff) / 255;
+
+      for (let channel = 0; channel < 3; channel++) {
+        const value = values[offset + channel];
+        values[offset + channel] = paint
+          ? value + (channels[channel] - value) * opacity * coverage
+          : value + channels[channel] * coverage;
+      }
+    }
+
+    this.hiddenCanvasDirty = true;
+  }
+
+  // Undoes drawSegmentOnHiddenCanvas, exactly for the last segment drawn with the current compositing
+  eraseSegmentFromHiddenCanvas(from, to) {
+    const chords = this.prepareChordTable();
+    const { entries, start, end } = chords.range(from.index, to.index);
+    const values = this.hiddenCanvasValues;
+    const { paint, opacity, channels } = this.hiddenStroke;
+
+    for (let i = start; i < end; i++) {
+      const entry = entries[i];
+      const offset = 4 * (entry >>> 8);
+      const alpha = (opacity * (entry & 0xff)) / 255;
+
+      for (let channel = 0; channel < 3; channel++) {
+        const value = values[offset + channel];
+        values[offset + channel] = paint
+          ? (value - channels[channel] * alpha) / (1 - alpha)
+          : value - (channels[channel] * (entry & 0xff)) / 255;
+      }
+    }
+
+    this.hiddenCanvasDirty = true;
+  }
+
+  // Weighted squared error of the pixels under a chord, in the units of computeError before averaging
+  computeSegmentError(from, to) {
+    const chords = this.prepareChordTable();
+    const { entries, start, end } = chords.range(from.index, to.index);
+    const values = this.hiddenCanvasValues;
+    const importance = this.importance;
+    let error = 0;
+
+    for (let i = start; i < end; i++) {
+      const pixel = entries[i] >>> 8;
+      const r = this.thread.residual(values, 4 * pixel + 0);
+      const g = this.thread.residual(values, 4 * pixel + 1);
+      const b = this.thread.residual(values, 4 * pixel + 2);
+      error += (importance === null ? 1 : importance[pixel]) * (r * r + g * g + b * b);
+    }
+
+    return error;
+  }
+
+  computeSegment(thread) {
+    let startPeg;
+    let nextPeg;
+
+    if (thread.length === 0) {
+      const seed = this.computeBestStartingSegment();
+      thread.push(seed.peg1);
+      this.pegWraps[seed.peg1.index]++;
+      startPeg = seed.peg1;
+      nextPeg = seed.peg2;
+    } else {
+      startPeg = thread[thread.length - 1];
+      const historyLength = Math.min(thread.length, this.parameters.historyLength);
+      const recent = thread.slice(thread.length - historyLength);
+      nextPeg = this.computeBestNextPeg(startPeg, recent);
+    }
+
+    thread.push(nextPeg);
+    this.drawSegmentOnHiddenCanvas(startPeg, nextPeg);
+    this.chordPasses[this.chordKey(startPeg.index, nextPeg.index)]++;
+    this.pegWraps[nextPeg.index]++;
+    this.refineStall = 0;
+  }
+
+  // Candidates breaking a limit of the options only count when no candidate keeps to all of them
+  computeBestStartingSegment(step = 1 + Math.floor(this.pegs.length / 100)) {
+    const best = [ThreadingSingle.bestCandidates(), ThreadingSingle.bestCandidates()];
+
+    for (let i = 0; i < this.pegs.length; i += step) {
+      for (let j = i + 1; j < this.pegs.length; j += step) {
+        const peg1 = this.pegs[i];
+        const peg2 = this.pegs[j];
+
+        if (this.arePegsTooClose(peg1, peg2)) {
+          continue;
+        }
+
+        const level = this.limitViolation(peg1, peg2, [peg1, peg2]) ? 1 : 0;
+        if (level === 0 || best[0].candidates.length === 0) {
+          best[level].add({ peg1, peg2 }, this.computeSegmentPotential(peg1, peg2));
+        }
+      }
+    }
+
+    const { candidates } = best[0].candidates.length ? best[0] : best[1];
+    // A wide minChordSkip can rule out every pair of the pegs sampled
+    if (candidates.length === 0 && step > 1) {
+      return this.computeBestStartingSegment(1);
+    }
+    return ThreadingSingle.randomOne(candidates, this.random);
+  }
+
+  // Pegs of the recent history count after those breaking a limit, when a history longer than the reachable pegs
+  // leaves no other
+  computeBestNextPeg(fromPeg, recentHistory) {
+    const best = [ThreadingSingle.bestCandidates(), ThreadingSingle.bestCandidates(), ThreadingSingle.bestCandidates()];
+
+    for (const candidate of this.pegs) {
+      if (this.arePegsTooClose(fromPeg, candidate)) {
+        continue;
+      }
+
+      const level = recentHistory.includes(candidate) ? 2 : this.limitViolation(fromPeg, candidate) ? 1 : 0;
+      if (best.slice(0, level).every((lower) => lower.candidates.length === 0)) {
+        best[level].add(candidate, this.computeSegmentPotential(fromPeg, candidate));
+      }
+    }
+
+    const { candidates } = best.find((level) => level.candidates.length) || best[0];
+    return ThreadingSingle.randomOne(candidates, this.random);
+  }
+
+  // Limit of the options broken by one more segment from one peg to another that goes around the wrapped
+  // pegs: "too-long", "chord-passes" or "peg-wraps", or null
+  limitViolation(from, to, wrapped = [to]) {
+    const passes = this.chordPasses[this.chordKey(from.index, to.index)] + 1;
+    const wraps = Math.max(0, ...wrapped.map((peg) => this.pegWraps[peg.index] + 1));
+    return this.exceededLimit(from, to, passes, wraps);
+  }
+
+  // Limit broken by a chord used passes times over all the threads whose end goes wraps times around its peg
+  exceededLimit(from, to, passes, wraps) {
+    const { maxChordLength, maxChordPasses, maxPegWraps } = this.parameters;
+    const length = Math.hypot(to.x - from.x, to.y - from.y) / this.hiddenCanvas.width;
+
+    if (maxChordLength !== null && length > maxChordLength) {
+      return "too-long";
+    }
+    if (maxChordPasses !== null && passes > maxChordPasses) {
+      return "chord-passes";
+    }
+    if (maxPegWraps !== null && wraps > maxPegWraps) {
+      return "peg-wraps";
+    }
+    return null;
+  }
+
+  // Index of the chord between two peg indices, in either direction, in chordPasses
+  chordKey(a, b) {
+    return a < b ? a * this.pegs.length + b : b * this.pegs.length + a;
+  }
+
+  // How many times each chord is used and the thread goes around each peg, kept along with the hidden canvas
+  resetUsage() {
+    this.chordPasses = new Uint16Array(this.pegs.length * this.pegs.length);
+    this.pegWraps = new Uint16Array(this.pegs.length);
+  }
+
+  // Average potential over the pixels of the chord, each counted with its coverage and its importance
+  computeSegmentPotential(from, to) {
+    const chords = this.prepareChordTable();
+    const { entries, start, end } = chords.range(from.index, to.index);
+
+    if (start === end) {
+      return 0;
+    }
+
+    const values = this.hiddenCanvasValues;
+    const importance = this.importance;
+    const thread = this.thread;
+    let score = 0;
+    let totalCoverage = 0;
+
+    for (let i = start; i < end; i++) {
+      const entry = entries[i];
+      const pixel = entry >>> 8;
+      const coverage = entry & 0xff;
+      const potential = thread.samplePotential(thread.sampleCanvas(values, 4 * pixel), this.lineOpacityInternal);
+
+      score += coverage * (importance === null ? potential : importance[pixel] * potential);
+      totalCoverage += coverage;
+    }
+
+    return score / totalCoverage;
+  }
+
+  computePegs() {
+    const pegs = ThreadingSingle.computeFramePegs(this.parameters, this.hiddenCanvas.width, this.hiddenCanvas.height);
+    this.arePegsTooClose = (a, b) => ThreadingSingle.arePegsTooClose(a, b, this.parameters.minChordSkip);
+    return pegs;
+  }
+
+  // The hidden canvas is 100 × quality pixels along the longest side of the frame
+  static hiddenCanvasSize(parameters) {
+    const size = 100 * parameters.quality;
+    const aspectRatio = ThreadingSingle.frameAspectRatio(parameters);
+    return {
+      width: Math.round(size * Math.min(1, aspectRatio)),
+      height: Math.round(size * Math.min(1, 1 / aspectRatio)),
+    };
+  }
+
+  static computeFramePegs(parameters, width, height) {
+    let pegs;
+
+    switch (parameters.frameShape) {
+      case "square":
+      case "rectangle":
+        pegs = ThreadingSingle.computeRectanglePegs(parameters.pegsCount, width, height);
+        break;
+      case "custom":
+        pegs = ThreadingSingle.computeCustomPegs(parameters.framePegs, width, height);
+        break;
       default:
-        return { r: 1, g: 1, b: 1 };
+        pegs = ThreadingSingle.computeCirclePegs(parameters.pegsCount, width, height);
+    }
+
+    pegs.forEach((peg, index) => {
+      peg.index = index;
+    });
+
+    return pegs;
+  }
+
+  static computeCirclePegs(count, width, height) {
+    const referenceSize = 1000;
+    const ratio = width / height;
+    const targetSize =
+      ratio > 1
+        ? { width: referenceSize, height: Math.round(referenceSize / ratio) }
+        : { width: Math.round(referenceSize * ratio), height: referenceSize };
+
+    const pegs = [];
+    const radius = 0.5 * Math.min(targetSize.width, targetSize.height);
+    const centerX = 0.5 * targetSize.width;
+    const centerY = 0.5 * targetSize.height;
+    const angleStep = ThreadingSingle.TWO_PI / count;
+
+    for (let i = 0; i < count; i++) {
+      const angle = i * angleStep;
+      pegs.push({
+        x: centerX + radius * Math.cos(angle),
+        y: centerY + radius * Math.sin(angle),
+        angle,
+        perimeter: angle / ThreadingSingle.TWO_PI,
+        sides: 0,
+      });
+    }
+
+    for (const peg of pegs) {
+      peg.x *= width / targetSize.width;
+      peg.y *= height / targetSize.height;
+    }
+
+    return pegs;
+  }
+
+  // Pegs on a shared side of the frame would give a chord running along the frame itself
+  static arePegsTooClose(a, b, minChordSkip) {
+    if ((a.sides & b.sides) !== 0) {
+      return true;
+    }
+
+    const delta = Math.abs(a.perimeter - b.perimeter);
+    return Math.min(delta, 1 - delta) <= minChordSkip;
+  }
+
+  // Fewest pegs a chord can go to from any one peg; the search never finds a peg with a longer history
+  static countReachablePegs(pegs, minChordSkip) {
+    let reachable = pegs.length;
+    for (const from of pegs) {
+      const count = pegs.filter((to) => !ThreadingSingle.arePegsTooClose(from, to, minChordSkip)).length;
+      reachable = Math.min(reachable, count);
+    }
+    return reachable;
+  }
+
+  // countReachablePegs for the frame of the options, before there is an image to weave
+  static reachablePegs(options) {
+    const parameters = { ...ThreadingSingle.DEFAULT_OPTIONS, ...options };
+    const { width, height } = ThreadingSingle.hiddenCanvasSize(parameters);
+    const pegs = ThreadingSingle.computeFramePegs(parameters, width, height);
+    return ThreadingSingle.countReachablePegs(pegs, parameters.minChordSkip);
+  }
+
+  static frameAspectRatio(parameters) {
+    if (parameters.frameShape !== "rectangle" && parameters.frameShape !== "custom") {
+      return 1;
+    }
+
+    const aspectRatio = Number(parameters.frameAspectRatio);
+    return Number.isFinite(aspectRatio) && aspectRatio > 0 ? aspectRatio : 1;
+  }
+
+  // Maps the optional "frame" entry of a products.json product to engine options
+  static frameOptions(frame = {}) {
+    const shape = ThreadingSingle.FRAME_SHAPES.includes(frame.shape) ? frame.shape : "circle";
+
+    return {
+      frameShape: shape,
+      frameAspectRatio: frame.aspectRatio ?? 1,
+      framePegs: shape === "custom" ? frame.pegs : null,
+    };
+  }
+
+  static productOptions(product) {
+    const options = {
+      lineThickness: product.thickness,
+      nbLines: product.lines,
+      ...ThreadingSingle.frameOptions(product.frame),
+    };
+
+    if (Number.isFinite(product.widthMm)) {
+      options.frameWidthMm = product.widthMm;
+    }
+    if (Number.isFinite(product.wrapAllowanceMm)) {
+      options.wrapAllowanceMm = product.wrapAllowanceMm;
+    }
+    if (Number.isFinite(product.threadDiameterMm)) {
+      options.threadDiameterMm = product.threadDiameterMm;
+    }
+    if (Number.isFinite(product.threadSpread)) {
+      options.threadSpread = product.threadSpread;
+    }
+
+    if (Array.isArray(product.palette)) {
+      options.mode = "palette";
+      options.palette = product.palette;
+      options.boardColor = product.board ?? ThreadingSingle.DEFAULT_OPTIONS.boardColor;
+    }
+
+    // "layers": [{ "lines": 800, "thickness": 0.04, "opacity": 0.8 }, { "lines": 2000, "threadDiameterMm": 0.3 }],
+    // the lines of the product being those of all its layers
+    if (Array.isArray(product.layers) && product.layers.length > 0) {
+      options.layers = product.layers.map((layer) => {
+        const layerOptions = { nbLines: layer.lines };
+        if (Number.isFinite(layer.threadDiameterMm)) {
+          layerOptions.threadDiameterMm = layer.threadDiameterMm;
+        } else if (Number.isFinite(layer.thickness)) {
+          layerOptions.lineThickness = layer.thickness;
+          layerOptions.threadDiameterMm = null;
+        }
+        if (Number.isFinite(layer.opacity)) {
+          layerOptions.lineOpacity = layer.opacity;
+        }
+        return layerOptions;
+      });
+      options.nbLines = options.layers.reduce((sum, layer) => sum + layer.nbLines, 0);
+    }
+
+    options.pegsCount = Array.isArray(options.framePegs) ? options.framePegs.length : product.pegs;
+    return options;
+  }
+
+  // RGBA pixels of a residual map: red where the piece is lighter than the source and blue where it is darker,
+  // more opaque up to a difference of limit and transparent where they match
+  static residualColors(map, limit = ThreadingSingle.RESIDUAL_COLOR_LIMIT) {
+    const colors = new Uint8ClampedArray(4 * map.values.length);
+
+    map.values.forEach((value, i) => {
+      const lighter = value > 0;
+      colors[4 * i] = lighter ? 220 : 37;
+      colors[4 * i + 1] = lighter ? 38 : 99;
+      colors[4 * i + 2] = lighter ? 38 : 235;
+      colors[4 * i + 3] = (255 * Math.min(1, Math.abs(value) / limit)) | 0;
+    });
+
+    return colors;
+  }
+
+  // 1 inside the frame and 0 outside, pixel by pixel over its bounding box
+  static frameWeights(frameShape, width, height) {
+    const weights = new Float64Array(width * height).fill(1);
+    if (frameShape !== "circle") {
+      return weights;
+    }
+
+    const radius = 0.5 * Math.min(width, height);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (Math.hypot(x + 0.5 - 0.5 * width, y + 0.5 - 0.5 * height) > radius) {
+          weights[y * width + x] = 0;
+        }
+      }
+    }
+    return weights;
+  }
+
+  // The side the thread goes around peg on its way from previous to next: turning right on screen, where y
+  // points down, the peg is on the right and the thread goes around it clockwise. null at the ends of a thread
+  // and when it goes straight on.
+  static wrapDirection(previous, peg, next) {
+    if (!previous || !next) {
+      return null;
+    }
+
+    const cross = (peg.x - previous.x) * (next.y - peg.y) - (peg.y - previous.y) * (next.x - peg.x);
+    if (cross === 0) {
+      return null;
+    }
+    return cross > 0 ? "clockwise" : "anticlockwise";
+  }
+
+  // Pegs evenly spaced along the border, clockwise from the top-left corner
+  static computeRectanglePegs(count, width, height) {
+    const perimeter = 2 * (width + height);
+    const corners = [0, width, width + height, 2 * width + height];
+    const epsilon = 1e-6 * perimeter;
+    const pegs = [];
+
+    for (let i = 0; i < count; i++) {
+      const distance = (i * perimeter) / count;
+      let point;
+
+      if (distance < corners[1]) {
+        point = { x: distance, y: 0 };
+      } else if (distance < corners[2]) {
+        point = { x: width, y: distance - corners[1] };
+      } else if (distance < corners[3]) {
+        point = { x: width - (distance - corners[2]), y: height };
+      } else {
+        point = { x: 0, y: height - (distance - corners[3]) };
+      }
+
+      let sides = 0;
+      for (let side = 0; side < 4; side++) {
+        const start = corners[side];
+        const end = side === 3 ? perimeter : corners[side + 1];
+        if (distance >= start - epsilon && distance <= end + epsilon) {
+          sides |= 1 << side;
+        }
+      }
+      if (distance <= epsilon) {
+        sides |= 1 << 3;
+      }
+
+      pegs.push({ ...point, perimeter: distance / perimeter, sides });
+    }
+
+    return pegs;
+  }
+
+  // Custom pegs are given in order around the frame, as { x, y, side? } with x and y between 0 and 1
+  static computeCustomPegs(points, width, height) {
+    if (!Array.isArray(points) || points.length < 3) {
+      throw new Error("A custom frame needs at least 3 pegs.");
+    }
+
+    const pegs = points.map((point) => {
+      const sides = [].concat(point.side ?? []).reduce((mask, side) => mask | (1 << side), 0);
+      return { x: point.x * width, y: point.y * height, perimeter: 0, sides };
+    });
+
+    const distances = [0];
+    for (let i = 1; i < pegs.length; i++) {
+      distances.push(distances[i - 1] + Math.hypot(pegs[i].x - pegs[i - 1].x, pegs[i].y - pegs[i - 1].y));
+    }
+
+    const last = pegs[pegs.length - 1];
+    const total = distances[pegs.length - 1] + Math.hypot(pegs[0].x - last.x, pegs[0].y - last.y);
+
+    pegs.forEach((peg, index) => {
+      peg.perimeter = total > 0 ? distances[index] / total : index / pegs.length;
+    });
+
+    return pegs;
+  }
+
+  static isSupportedSource(source) {
+    return (
+      ThreadingSingle.isImageDataLike(source) ||
+      ThreadingSingle.SOURCE_TYPES.some(
+        (name) => typeof globalThis[name] === "function" && source instanceof globalThis[name]
+      )
+    );
+  }
+
+  static isImageDataLike(source) {
+    return (
+      source !== null &&
+      typeof source === "object" &&
+      Number.isInteger(source.width) &&
+      Number.isInteger(source.height) &&
+      ArrayBuffer.isView(source.data) &&
+      source.data.length === 4 * source.width * source.height
+    );
+  }
+
+  static toDrawableSource(source) {
+    if (ThreadingSingle.isImageDataLike(source)) {
+      const canvas = ThreadingSingle.createCanvas(source.width, source.height);
+      canvas.getContext("2d").putImageData(source, 0, 0);
+      return canvas;
+    }
+
+    return source;
+  }
+
+  static createCanvas(width, height) {
+    if (ThreadingSingle.canvasFactory) {
+      return ThreadingSingle.canvasFactory(width, height);
+    }
+
+    if (typeof document !== "undefined") {
+      const canvas = document.createElement("canvas");
+      canvas.width = width;
+      canvas.height = height;
+      return canvas;
+    }
+
+    if (typeof OffscreenCanvas !== "undefined") {
+      return new OffscreenCanvas(width, height);
+    }
+
+    throw new Error("ThreadingSingle needs a canvas: neither document nor OffscreenCanvas is available.");
+  }
+
+  static now() {
+    if (typeof performance !== "undefined" && typeof performance.now === "function") {
+      return () => performance.now();
+    }
+    return () => Date.now();
+  }
+
+  static importanceWeight(value) {
+    return ThreadingSingle.IMPORTANCE_RANGE ** ((value - 128) / 128);
+  }
+
+  static clamp(value, min, max) {
+    if (value < min) return min;
+    if (value > max) return max;
+    return value;
+  }
+
+  static lerp(a, b, t) {
+    return a * (1 - t) + b * t;
+  }
+
+  // Keeps the candidates added with the best score so far
+  static bestCandidates() {
+    return {
+      score: Number.NEGATIVE_INFINITY,
+      candidates: [],
+      add(candidate, score) {
+        if (score > this.score) {
+          this.score = score;
+          this.candidates = [candidate];
+        } else if (score === this.score) {
+          this.candidates.push(candidate);
+        }
+      },
+    };
+  }
+
+  static randomOne(array, random = Math.random) {
+    if (!array.length) {
+      return null;
+    }
+
+    const index = Math.floor(random() * array.length);
+    return array[index];
+  }
+
+  static randomSeed() {
+    return Math.floor(Math.random() * 0x100000000);
+  }
+
+  // mulberry32: small and fast, and the same sequence in every JavaScript engine for a given seed
+  static createRandom(seed) {
+    let state = seed >>> 0;
+
+    return () => {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    };
+  }
+
+  // Hexadecimal CSS colour (#rgb or #rrggbb) to channels between 0 and 1
+  static parseColor(text) {
+    const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(text).trim());
+    if (!match) {
+      throw new Error(`Invalid colour "${text}", expected #rrggbb.`);
+    }
+
+    const digits = match[1].length === 3 ? match[1].replace(/./g, "$&$&") : match[1];
+    return {
+      r: parseInt(digits.slice(0, 2), 16) / 255,
+      g: parseInt(digits.slice(2, 4), 16) / 255,
+      b: parseInt(digits.slice(4, 6), 16) / 255,
+    };
+  }
+
+  static colorToCss(color) {
+    const hex = (value) => Math.round(255 * value).toString(16).padStart(2, "0");
+    return `#${hex(color.r)}${hex(color.g)}${hex(color.b)}`;
+  }
+
+  static rawColorChannels(color) {
+    if (color !== null && typeof color === "object") {
+      return { r: color.r, g: color.g, b: color.b };
+    }
+
+    switch (color) {
+      case ThreadingSingle.EColor.MONOCHROME:
+        return { r: 1, g: 1, b: 1 };
+      case ThreadingSingle.EColor.RED:
+        return { r: 1, g: 0, b: 0 };
+      case ThreadingSingle.EColor.GREEN:
+        return { r: 0, g: 1, b: 0 };
+      case ThreadingSingle.EColor.BLUE:
+        return { r: 0, g: 0, b: 1 };
+      default:
+        return { r: 1, g: 1, b: 1 };
+    }
+  }
+
+  static resetCanvasCompositing(context) {
+    context.globalCompositeOperation = "source-over";
+  }
+
+  static applyCanvasCompositing(context, color, opacity, operation) {
+    const channels = ThreadingSingle.rawColorChannels(color);
+
+    // Real thread over a board: plain alpha blending of the thread colour
+    if (operation === ThreadingSingle.ECompositingOperation.PAINT) {
+      ThreadingSingle.resetCanvasCompositing(context);
+      context.strokeStyle = `rgba(${255 * channels.r}, ${255 * channels.g}, ${255 * channels.b}, ${opacity})`;
+      return;
+    }
+
+    if (ThreadingSingle.#advancedCompositingSupported) {
+      const operationName =
+        operation === ThreadingSingle.ECompositingOperation.LIGHTEN ? "lighter" : "darker";
+
+      context.globalCompositeOperation = operationName;
+
+      if (context.globalCompositeOperation === operationName) {
+        const intensity = Math.ceil(255 * opacity);
+        context.strokeStyle = `rgb(${channels.r * intensity}, ${channels.g * intensity}, ${channels.b * intensity})`;
+        return;
+      }
+
+      ThreadingSingle.#advancedCompositingSupported = false;
+    }
+
+    ThreadingSingle.resetCanvasCompositing(context);
+
+    if (operation === ThreadingSingle.ECompositingOperation.DARKEN) {
+      channels.r = 1 - channels.r;
+      channels.g = 1 - channels.g;
+      channels.b = 1 - channels.b;
+    }
+
+    context.strokeStyle = `rgba(${255 * channels.r}, ${255 * channels.g}, ${255 * channels.b}, ${opacity})`;
+  }
+}
+
+ThreadingSingle.TWO_PI = Math.PI * 2;
+// Refinement: how many re-routing candidates are tried exactly, and the smallest error change that counts
+ThreadingSingle.REFINE_CANDIDATES = 8;
+ThreadingSingle.REFINE_MIN_GAIN = 1e-6;
+// Importance mask values map to weights from 1 / IMPORTANCE_RANGE (0) to IMPORTANCE_RANGE (255)
+ThreadingSingle.IMPORTANCE_RANGE = 4;
+// The perceptual error costs about as much as a hundred segments, so the growth computes it less often
+ThreadingSingle.PERCEPTUAL_ERROR_INTERVAL = 500;
+// Average time to take the thread to the next peg and around it, for the weaving time estimate
+ThreadingSingle.WEAVING_SECONDS_PER_STEP = 12;
+ThreadingSingle.WRAP_SYMBOLS = Object.freeze({ clockwise: "↻", anticlockwise: "↺" });
+// Difference of luminance between the piece and the source shown at full colour by residualColors
+ThreadingSingle.RESIDUAL_COLOR_LIMIT = 96;
+// Thread calibration: blur of the photo and the simulation in hidden pixels, and the search of the spread change
+ThreadingSingle.CALIBRATION_BLUR_SIGMA = 2;
+ThreadingSingle.CALIBRATION_SCALE_RANGE = [0.05, 20];
+ThreadingSingle.CALIBRATION_ITERATIONS = 30;
+
+ThreadingSingle.ThreadBase = class {
+  constructor() {
+    this.sampleCanvas = null;
+    this.opacityScale = 1;
+    this.hiddenCompositingOperation = ThreadingSingle.ECompositingOperation.LIGHTEN;
+  }
+
+  compositingOperation(invertColors) {
+    return invertColors ? ThreadingSingle.ECompositingOperation.LIGHTEN : ThreadingSingle.ECompositingOperation.DARKEN;
+  }
+
+  backgroundColor(invertColors) {
+    return invertColors ? "#000" : "#fff";
+  }
+
+  samplePotential(sample, opacity) {
+    return 127 - (sample + 255 * opacity);
+  }
+
+  // How the residual shows on the piece: its value is the source plus sign × 2 × residual
+  residualSign(invertColors) {
+    return invertColors ? -1 : 1;
+  }
+
+  // Lightened values are not saturated in the hidden canvas values, see applyHiddenCanvasCompositing
+  residual(data, offset) {
+    return 127 - Math.min(255, data[offset]);
+  }
+
+  // Largest remainder split of count segments between threads, proportionally to frequencies
+  static computeRepartition(count, frequencies) {
+    const targets = frequencies.map((frequency) => count * frequency);
+    const repartition = targets.map(Math.floor);
+    const order = targets
+      .map((target, index) => ({ index, remainder: target - repartition[index] }))
+      .sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+
+    let missing = count - repartition.reduce((sum, value) => sum + value, 0);
+    for (let i = 0; missing > 0; i = (i + 1) % order.length, missing--) {
+      repartition[order[i].index]++;
+    }
+
+    return repartition;
+  }
+
+  static lowerNbSegmentsForThread(thread, nbSegments) {
+    thread.length = nbSegments > 0 ? Math.min(thread.length, nbSegments + 1) : 0;
+  }
+
+  static computeNbSegments(thread) {
+    return thread.length > 1 ? thread.length - 1 : 0;
+  }
+
+  static serializeSequence(thread) {
+    return thread.map((peg) => peg.index);
+  }
+
+  static restoreSequence(indices, pegs) {
+    return Array.from(indices, (index) => pegs[index]);
+  }
+
+  // toIndex is excluded: the callback gets the pegs of the segments fromIndex to toIndex - 1
+  static iterateOnThread(thread, color, fromIndex, callback, toIndex = Infinity) {
+    if (fromIndex < Math.min(toIndex, ThreadingSingle.ThreadBase.computeNbSegments(thread))) {
+      callback(thread.slice(fromIndex, toIndex + 1), color);
+    }
+  }
+};
+
+ThreadingSingle.ThreadMonochrome = class extends ThreadingSingle.ThreadBase {
+  constructor() {
+    super();
+    this.threadPegs = [];
+  }
+
+  // Thread colours in the order of their sequences
+  get colors() {
+    return [ThreadingSingle.EColor.MONOCHROME];
+  }
+
+  get totalNbSegments() {
+    return ThreadingSingle.ThreadBase.computeNbSegments(this.threadPegs);
+  }
+
+  lowerNbSegments(nbSegments) {
+    ThreadingSingle.ThreadBase.lowerNbSegmentsForThread(this.threadPegs, nbSegments);
+  }
+
+  iterateOnThreads(fromIndex, callback, toIndex = Infinity) {
+    ThreadingSingle.ThreadBase.iterateOnThread(
+      this.threadPegs,
+      ThreadingSingle.EColor.MONOCHROME,
+      fromIndex,
+      callback,
+      toIndex
+    );
+  }
+
+  getThreadToGrow() {
+    return { thread: this.threadPegs, color: ThreadingSingle.EColor.MONOCHROME };
+  }
+
+  // The peg arrays themselves with their colour, for changes in place such as the refinement
+  listThreads() {
+    return [{ thread: this.threadPegs, color: ThreadingSingle.EColor.MONOCHROME }];
+  }
+
+  serialize() {
+    return {
+      sequences: [ThreadingSingle.ThreadBase.serializeSequence(this.threadPegs)],
+      frequencies: [1],
+    };
+  }
+
+  restore(state, pegs) {
+    this.threadPegs = ThreadingSingle.ThreadBase.restoreSequence(state.sequences[0], pegs);
+  }
+
+  adjustCanvasData(data, invertColors) {
+    const normalize = invertColors ? (value) => (255 - value) / 2 : (value) => value / 2;
+    const pixels = data.length / 4;
+
+    for (let i = 0; i < pixels; i++) {
+      const average = normalize((data[4 * i + 0] + data[4 * i + 1] + data[4 * i + 2]) / 3);
+      data[4 * i + 0] = average;
+      data[4 * i + 1] = average;
+      data[4 * i + 2] = average;
+    }
+  }
+
+  enableSamplingFor() {
+    if (this.sampleCanvas === null) {
+      this.sampleCanvas = (data, offset) => Math.min(255, data[offset + 0]);
+    }
+  }
+};
+
+ThreadingSingle.ThreadRedBlueGreen = class extends ThreadingSingle.ThreadBase {
+  constructor() {
+    super();
+    this.threadPegsRed = [];
+    this.threadPegsGreen = [];
+    this.threadPegsBlue = [];
+
+    this.frequencyRed = 1 / 3;
+    this.frequencyGreen = 1 / 3;
+    this.frequencyBlue = 1 / 3;
+  }
+
+  get colors() {
+    return [ThreadingSingle.EColor.RED, ThreadingSingle.EColor.GREEN, ThreadingSingle.EColor.BLUE];
+  }
+
+  get totalNbSegments() {
+    return (
+      ThreadingSingle.ThreadBase.computeNbSegments(this.threadPegsRed) +
+      ThreadingSingle.ThreadBase.computeNbSegments(this.threadPegsGreen) +
+      ThreadingSingle.ThreadBase.computeNbSegments(this.threadPegsBlue)
+    );
+  }
+
+  lowerNbSegments(nbSegments) {
+    const repartition = this.computeIdealSegmentsRepartition(nbSegments);
+    ThreadingSingle.ThreadBase.lowerNbSegmentsForThread(this.threadPegsRed, repartition.red);
+    ThreadingSingle.ThreadBase.lowerNbSegmentsForThread(this.threadPegsGreen, repartition.green);
+    ThreadingSingle.ThreadBase.lowerNbSegmentsForThread(this.threadPegsBlue, repartition.blue);
+  }
+
+  iterateOnThreads(fromIndex, callback, toIndex = Infinity) {
+    const from = this.computeIdealSegmentsRepartition(fromIndex);
+    const to = Number.isFinite(toIndex)
+      ? this.computeIdealSegmentsRepartition(toIndex)
+      : { red: Infinity, green: Infinity, blue: Infinity };
+    const iterate = ThreadingSingle.ThreadBase.iterateOnThread;
+
+    iterate(this.threadPegsRed, ThreadingSingle.EColor.RED, from.red, callback, to.red);
+    iterate(this.threadPegsGreen, ThreadingSingle.EColor.GREEN, from.green, callback, to.green);
+    iterate(this.threadPegsBlue, ThreadingSingle.EColor.BLUE, from.blue, callback, to.blue);
+  }
+
+  getThreadToGrow() {
+    const target = this.computeIdealSegmentsRepartition(this.totalNbSegments + 1);
+
+    if (target.red > 0 && this.threadPegsRed.length < target.red + 1) {
+      return { thread: this.threadPegsRed, color: ThreadingSingle.EColor.RED };
+    }
+
+    if (target.green > 0 && this.threadPegsGreen.length < target.green + 1) {
+      return { thread: this.threadPegsGreen, color: ThreadingSingle.EColor.GREEN };
+    }
+
+    return { thread: this.threadPegsBlue, color: ThreadingSingle.EColor.BLUE };
+  }
+
+  listThreads() {
+    return [
+      { thread: this.threadPegsRed, color: ThreadingSingle.EColor.RED },
+      { thread: this.threadPegsGreen, color: ThreadingSingle.EColor.GREEN },
+      { thread: this.threadPegsBlue, color: ThreadingSingle.EColor.BLUE },
+    ];
+  }
+
+  serialize() {
+    return {
+      sequences: [
+        ThreadingSingle.ThreadBase.serializeSequence(this.threadPegsRed),
+        ThreadingSingle.ThreadBase.serializeSequence(this.threadPegsGreen),
+        ThreadingSingle.ThreadBase.serializeSequence(this.threadPegsBlue),
+      ],
+      frequencies: [this.frequencyRed, this.frequencyGreen, this.frequencyBlue],
+    };
+  }
+
+  restore(state, pegs) {
+    this.threadPegsRed = ThreadingSingle.ThreadBase.restoreSequence(state.sequences[0], pegs);
+    this.threadPegsGreen = ThreadingSingle.ThreadBase.restoreSequence(state.sequences[1], pegs);
+    this.threadPegsBlue = ThreadingSingle.ThreadBase.restoreSequence(state.sequences[2], pegs);
+    [this.frequencyRed, this.frequencyGreen, this.frequencyBlue] = state.frequencies;
+  }
+
+  adjustCanvasData(data, invertColors) {
+    let sumRed = 0;
+    let sumGreen = 0;
+    let sumBlue = 0;
+
+    const normalize = invertColors ? (value) => (255 - value) / 2 : (value) => value / 2;
+    const pixels = data.length / 4;
+
+    for (let i = 0; i < pixels; i++) {
+      sumRed += data[4 * i + 0];
+      sumGreen += data[4 * i + 1];
+      sumBlue += data[4 * i + 2];
+
+      data[4 * i + 0] = normalize(data[4 * i + 0]);
+      data[4 * i + 1] = normalize(data[4 * i + 1]);
+      data[4 * i + 2] = normalize(data[4 * i + 2]);
+    }
+
+    if (!invertColors) {
+      sumRed = 255 * pixels - sumRed;
+      sumGreen = 255 * pixels - sumGreen;
+      sumBlue = 255 * pixels - sumBlue;
+    }
+
+    const total = sumRed + sumGreen + sumBlue || 1;
+
+    this.frequencyRed = sumRed / total;
+    this.frequencyGreen = sumGreen / total;
+    this.frequencyBlue = sumBlue / total;
+  }
+
+  enableSamplingFor(color) {
+    const offset = color === ThreadingSingle.EColor.RED ? 0 : color === ThreadingSingle.EColor.GREEN ? 1 : 2;
+    this.sampleCanvas = (data, index) => Math.min(255, data[index + offset]);
+  }
+
+  computeIdealSegmentsRepartition(count) {
+    const targetRed = count * this.frequencyRed;
+    const targetGreen = count * this.frequencyGreen;
+    const targetBlue = count * this.frequencyBlue;
+
+    const repartition = {
+      red: Math.floor(targetRed),
+      green: Math.floor(targetGreen),
+      blue: Math.floor(targetBlue),
+    };
+
+    while (repartition.red + repartition.green + repartition.blue < count) {
+      const total = Math.max(1, repartition.red + repartition.green + repartition.blue);
+      const deltaRed = targetRed - repartition.red / total;
+      const deltaGreen = targetGreen - repartition.green / total;
+      const deltaBlue = targetBlue - repartition.blue / total;
+
+      if (deltaRed >= deltaGreen && deltaRed >= deltaBlue) {
+        repartition.red++;
+      } else if (deltaGreen >= deltaRed && deltaGreen >= deltaBlue) {
+        repartition.green++;
+      } else {
+        repartition.blue++;
+      }
+    }
+
+    return repartition;
+  }
+};
+
+// Real threads of arbitrary colours over a board. The hidden canvas holds the simulated piece, starting
+// from the board colour, and segments are chosen by how much they bring it closer to the target image.
+ThreadingSingle.ThreadPalette = class extends ThreadingSingle.ThreadBase {
+  constructor(colors, boardColor) {
+    super();
+
+    if (!colors.length) {
+      throw new Error("ThreadPalette needs at least one thread colour.");
+    }
+
+    this.threads = colors.map((color) => ({ color, pegs: [] }));
+    this.boardColor = boardColor;
+    this.frequencies = colors.map(() => 1 / colors.length);
+    this.target = null;
+    this.opacityScale = 2;
+    this.hiddenCompositingOperation = ThreadingSingle.ECompositingOperation.PAINT;
+  }
+
+  get colors() {
+    return this.threads.map((thread) => thread.color);
+  }
+
+  get totalNbSegments() {
+    return this.threads.reduce((sum, thread) => sum + ThreadingSingle.ThreadBase.computeNbSegments(thread.pegs), 0);
+  }
+
+  compositingOperation() {
+    return ThreadingSingle.ECompositingOperation.PAINT;
+  }
+
+  backgroundColor() {
+    return ThreadingSingle.colorToCss(this.boardColor);
+  }
+
+  lowerNbSegments(nbSegments) {
+    const repartition = ThreadingSingle.ThreadBase.computeRepartition(nbSegments, this.frequencies);
+    this.threads.forEach((thread, index) => {
+      ThreadingSingle.ThreadBase.lowerNbSegmentsForThread(thread.pegs, repartition[index]);
+    });
+  }
+
+  iterateOnThreads(fromIndex, callback, toIndex = Infinity) {
+    const from = ThreadingSingle.ThreadBase.computeRepartition(fromIndex, this.frequencies);
+    const to = Number.isFinite(toIndex)
+      ? ThreadingSingle.ThreadBase.computeRepartition(toIndex, this.frequencies)
+      : this.threads.map(() => Infinity);
+    this.threads.forEach((thread, index) => {
+      ThreadingSingle.ThreadBase.iterateOnThread(thread.pegs, thread.color, from[index], callback, to[index]);
+    });
+  }
+
+  getThreadToGrow() {
+    const target = ThreadingSingle.ThreadBase.computeRepartition(this.totalNbSegments + 1, this.frequencies);
+    const index = this.threads.findIndex((thread, i) => target[i] > 0 && thread.pegs.length < target[i] + 1);
+    const thread = this.threads[index === -1 ? this.threads.length - 1 : index];
+    return { thread: thread.pegs, color: thread.color };
+  }
+
+  listThreads() {
+    return this.threads.map((thread) => ({ thread: thread.pegs, color: thread.color }));
+  }
+
+  serialize() {
+    return {
+      sequences: this.threads.map((thread) => ThreadingSingle.ThreadBase.serializeSequence(thread.pegs)),
+      frequencies: this.frequencies.slice(),
+    };
+  }
+
+  restore(state, pegs) {
+    this.threads.forEach((thread, index) => {
+      thread.pegs = ThreadingSingle.ThreadBase.restoreSequence(state.sequences[index] || [], pegs);
+    });
+    this.frequencies = state.frequencies.slice();
+  }
+
+  // Keeps the image as the target, paints the board colour and splits the segments between threads
+  // according to how much of the image each thread is the best match for.
+  adjustCanvasData(data) {
+    const board = [255 * this.boardColor.r, 255 * this.boardColor.g, 255 * this.boardColor.b];
+    const directions = this.threads.map((thread) => [
+      255 * thread.color.r - board[0],
+      255 * thread.color.g - board[1],
+      255 * thread.color.b - board[2],
+    ]);
+    const weights = this.threads.map(() => 0);
+    const pixels = data.length / 4;
+
+    this.target = Uint8ClampedArray.from(data);
+
+    for (let i = 0; i < pixels; i++) {
+      const offset = [
+        data[4 * i + 0] - board[0],
+        data[4 * i + 1] - board[1],
+        data[4 * i + 2] - board[2],
+      ];
+      let best = -1;
+      let bestCoverage = 0;
+      let bestError = offset[0] * offset[0] + offset[1] * offset[1] + offset[2] * offset[2];
+
+      directions.forEach((direction, index) => {
+        const norm = direction[0] * direction[0] + direction[1] * direction[1] + direction[2] * direction[2];
+        if (norm === 0) {
+          return;
+        }
+
+        const projection = offset[0] * direction[0] + offset[1] * direction[1] + offset[2] * direction[2];
+        const coverage = ThreadingSingle.clamp(projection / norm, 0, 1);
+        const error =
+          (offset[0] - coverage * direction[0]) ** 2 +
+          (offset[1] - coverage * direction[1]) ** 2 +
+          (offset[2] - coverage * direction[2]) ** 2;
+
+        if (error < bestError) {
+          best = index;
+          bestError = error;
+          bestCoverage = coverage;
+        }
+      });
+
+      if (best !== -1) {
+        weights[best] += bestCoverage;
+      }
+
+      data[4 * i + 0] = board[0];
+      data[4 * i + 1] = board[1];
+      data[4 * i + 2] = board[2];
+    }
+
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    this.frequencies = total > 0 ? weights.map((weight) => weight / total) : weights.map(() => 1 / weights.length);
+  }
+
+  // Squared error reduction when blending the thread colour over the pixel with the line opacity
+  enableSamplingFor(color, opacity) {
+    const [red, green, blue] = [255 * color.r, 255 * color.g, 255 * color.b];
+    const target = this.target;
+
+    this.sampleCanvas = (data, index) => {
+      const deltaRed = red - data[index];
+      const deltaGreen = green - data[index + 1];
+      const deltaBlue = blue - data[index + 2];
+      const gain =
+        (target[index] - data[index]) * deltaRed +
+        (target[index + 1] - data[index + 1]) * deltaGreen +
+        (target[index + 2] - data[index + 2]) * deltaBlue -
+        0.5 * opacity * (deltaRed * deltaRed + deltaGreen * deltaGreen + deltaBlue * deltaBlue);
+      return gain / 765;
+    };
+  }
+
+  samplePotential(sample) {
+    return sample;
+  }
+
+  residualSign() {
+    return -1;
+  }
+
+  residual(data, offset) {
+    return (this.target[offset] - data[offset]) / 2;
+  }
+};
+
+// Layers of thread, each with threads of the colours of the mode, woven one after the other. A layer grows
+// to its number of lines before the next one starts and the last one takes any more. The first layer does what
+// depends on the mode only, such as sampling the hidden canvas; the others keep their pegs and their split
+// between colours. The callbacks of iterateOnThreads and the threads get the index of their layer.
+ThreadingSingle.ThreadLayers = class {
+  constructor(createThread, lineCounts) {
+    this.layers = lineCounts.map(() => createThread());
+    this.lineCounts = lineCounts;
+  }
+
+  get model() {
+    return this.layers[0];
+  }
+
+  get colors() {
+    return this.layers.flatMap((layer) => layer.colors);
+  }
+
+  get totalNbSegments() {
+    return this.layers.reduce((sum, layer) => sum + layer.totalNbSegments, 0);
+  }
+
+  get sampleCanvas() {
+    return this.model.sampleCanvas;
+  }
+
+  get opacityScale() {
+    return this.model.opacityScale;
+  }
+
+  get hiddenCompositingOperation() {
+    return this.model.hiddenCompositingOperation;
+  }
+
+  compositingOperation(invertColors) {
+    return this.model.compositingOperation(invertColors);
+  }
+
+  backgroundColor(invertColors) {
+    return this.model.backgroundColor(invertColors);
+  }
+
+  samplePotential(sample, opacity) {
+    return this.model.samplePotential(sample, opacity);
+  }
+
+  residualSign(invertColors) {
+    return this.model.residualSign(invertColors);
+  }
+
+  residual(data, offset) {
+    return this.model.residual(data, offset);
+  }
+
+  // Every layer splits its segments between colours from the same image
+  adjustCanvasData(data, invertColors) {
+    this.layers.slice(1).forEach((layer) => layer.adjustCanvasData(Uint8ClampedArray.from(data), invertColors));
+    this.model.adjustCanvasData(data, invertColors);
+  }
+
+  enableSamplingFor(color, opacity) {
+    this.model.enableSamplingFor(color, opacity);
+  }
+
+  // Segments in growth order, so the last layers lose theirs first
+  lowerNbSegments(nbSegments) {
+    let remaining = nbSegments;
+    this.layers.forEach((layer) => {
+      const kept = Math.min(remaining, layer.totalNbSegments);
+      layer.lowerNbSegments(kept);
+      remaining -= kept;
+    });
+  }
+
+  iterateOnThreads(fromIndex, callback, toIndex = Infinity) {
+    let offset = 0;
+    this.layers.forEach((layer, index) => {
+      const count = layer.totalNbSegments;
+      if (fromIndex < offset + count && toIndex > offset) {
+        const layerCallback = (threadPoints, color) => callback(threadPoints, color, index);
+        layer.iterateOnThreads(Math.max(0, fromIndex - offset), layerCallback, toIndex - offset);
+      }
+      offset += count;
+    });
+  }
+
+  getThreadToGrow() {
+    const growing = this.layers.findIndex(
+      (layer, index) => index < this.layers.length - 1 && layer.totalNbSegments < this.lineCounts[index]
+    );
+    const index = growing === -1 ? this.layers.length - 1 : growing;
+    return { ...this.layers[index].getThreadToGrow(), layer: index };
+  }
+
+  listThreads() {
+    return this.layers.flatMap((layer, index) => layer.listThreads().map((thread) => ({ ...thread, layer: index })));
+  }
+
+  // The sequences and frequencies of the layers one after the other
+  serialize() {
+    const states = this.layers.map((layer) => layer.serialize());
+    return {
+      sequences: states.flatMap((state) => state.sequences),
+      frequencies: states.flatMap((state) => state.frequencies),
+    };
+  }
+
+  restore(state, pegs) {
+    let offset = 0;
+    this.layers.forEach((layer) => {
+      const count = layer.colors.length;
+      layer.restore(
+        {
+          sequences: state.sequences.slice(offset, offset + count),
+          frequencies: state.frequencies.slice(offset, offset + count),
+        },
+        pegs
+      );
+      offset += count;
+    });
+  }
+};
+
+// Pixels under the chord between every pair of pegs, with the box filter coverage of a canvas stroke of the
+// given width. Computed once per set of pegs and kept in blocks of at most BLOCK_ENTRIES, so that the table is
+// never copied to grow; the chord of pair k, the rank of the pair with a < b, owns the entries from starts[k] to
+// ends[k] of blocks[blockOf[k]]. Each entry packs the pixel (x + y * width) and its coverage (1 to 255) as
+// pixel * 256 + coverage. A table that would exceed MAX_ENTRIES is not kept: range() then walks the chord again
+// each time, slower but without the memory.
+ThreadingSingle.ChordTable = class {
+  static MAX_PIXELS = 2 ** 24;
+  static BLOCK_ENTRIES = 2 ** 22;
+  // 128 MB of entries, e.g. 400 pegs on the hidden canvas of quality 3 take 122 MB
+  static MAX_ENTRIES = 2 ** 25;
+
+  constructor(pegs, width, height, lineWidth) {
+    if (width * height > ThreadingSingle.ChordTable.MAX_PIXELS) {
+      throw new RangeError(`The chord table supports up to ${ThreadingSingle.ChordTable.MAX_PIXELS} pixels.`);
+    }
+
+    this.pegs = pegs;
+    this.pegsCount = pegs.length;
+    this.width = width;
+    this.height = height;
+    this.halfWidth = 0.5 * lineWidth;
+
+    // A chord covers at most a few pixels across each pixel of the longest side it crosses
+    const across = Math.ceil(Math.SQRT2 * (2 * this.halfWidth + 1)) + 2;
+    this.scratch = new Uint32Array((Math.max(width, height) + 2 * Math.ceil(this.halfWidth) + 4) * across);
+
+    const pairs = (this.pegsCount * (this.pegsCount - 1)) / 2;
+    this.blockOf = new Uint16Array(pairs);
+    this.starts = new Uint32Array(pairs);
+    this.ends = new Uint32Array(pairs);
+    this.blocks = this.build(pairs);
+  }
+
+  // The blocks of all the chords, or null once they exceed MAX_ENTRIES
+  build(pairs) {
+    const { BLOCK_ENTRIES, MAX_ENTRIES } = ThreadingSingle.ChordTable;
+    const blocks = [new Uint32Array(Math.min(BLOCK_ENTRIES, Math.max(1024, pairs * this.scratch.length)))];
+    let block = blocks[0];
+    let used = 0;
+    let total = 0;
+
+    let pair = 0;
+    for (let a = 0; a < this.pegsCount; a++) {
+      for (let b = a + 1; b < this.pegsCount; b++) {
+        const count = this.walk(this.pegs[a], this.pegs[b], this.scratch);
+        total += count;
+        if (total > MAX_ENTRIES) {
+          return null;
+        }
+        if (used + count > block.length) {
+          block = new Uint32Array(BLOCK_ENTRIES);
+          blocks.push(block);
+          used = 0;
+        }
+
+        block.set(this.scratch.subarray(0, count), used);
+        this.blockOf[pair] = blocks.length - 1;
+        this.starts[pair] = used;
+        this.ends[pair] = used + count;
+        used += count;
+        pair++;
+      }
     }
-  }
 
-  static resetCanvasCompositing(context) {
-    context.globalCompositeOperation = "source-over";
+    // Only the last block is cut to what it holds
+    blocks[blocks.length - 1] = block.slice(0, used);
+    return blocks;
   }
 
-  static applyCanvasCompositing(context, color, opacity, operation) {
-    const channels = ThreadingSingle.rawColorChannels(color);
+  // The entries of chord a-b are entries[start] to entries[end - 1]. Without blocks they are in the scratch
+  // buffer, which the next call overwrites.
+  range(a, b) {
+    if (a === b) {
+      return { entries: this.scratch, start: 0, end: 0 };
+    }
 
-    if (ThreadingSingle.#advancedCompositingSupported) {
-      const operationName =
-        operation === ThreadingSingle.ECompositingOperation.LIGHTEN ? "lighter" : "darker";
+    const low = Math.min(a, b);
+    const high = Math.max(a, b);
+    if (this.blocks === null) {
+      return { entries: this.scratch, start: 0, end: this.walk(this.pegs[low], this.pegs[high], this.scratch) };
+    }
 
-      context.globalCompositeOperation = operationName;
+    const pair = (low * (2 * this.pegsCount - low - 1)) / 2 + (high - low - 1);
+    return { entries: this.blocks[this.blockOf[pair]], start: this.starts[pair], end: this.ends[pair] };
+  }
 
-      if (context.globalCompositeOperation === operationName) {
-        const intensity = Math.ceil(255 * opacity);
-        context.strokeStyle = `rgb(${channels.r * intensity}, ${channels.g * intensity}, ${channels.b * intensity})`;
-        return;
-      }
+  // Walks the chord along its major axis and writes the entries of the pixels close enough to be covered to
+  // output, returning how many. The coverage is the one of RasterCanvas: the overlap of the pixel with the stroke
+  // across the chord, times the one along it.
+  walk(from, to, output) {
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const length = Math.hypot(dx, dy);
 
-      ThreadingSingle.#advancedCompositingSupported = false;
+    if (length === 0) {
+      return 0;
     }
 
-    ThreadingSingle.resetCanvasCompositing(context);
-
-    if (operation === ThreadingSingle.ECompositingOperation.DARKEN) {
-      channels.r = 1 - channels.r;
-      channels.g = 1 - channels.g;
-      channels.b = 1 - channels.b;
+    const horizontal = Math.abs(dx) >= Math.abs(dy);
+    const majorSize = horizontal ? this.width : this.height;
+    const minorSize = horizontal ? this.height : this.width;
+    const majorStride = horizontal ? 1 : this.width;
+    const minorStride = horizontal ? this.width : 1;
+    const majorFrom = horizontal ? from.x : from.y;
+    const majorTo = horizontal ? to.x : to.y;
+    const minorFrom = horizontal ? from.y : from.x;
+    const majorDirection = (horizontal ? dx : dy) / length;
+    const minorDirection = (horizontal ? dy : dx) / length;
+    const slope = minorDirection / majorDirection;
+    const cosine = Math.abs(majorDirection);
+    const halfWidth = this.halfWidth;
+    // Pixel centres of a column are covered up to halfWidth + 0.5 away from the chord, across its direction
+    const reach = (halfWidth + 0.5) / cosine;
+    const margin = halfWidth + 1;
+
+    const firstMajor = Math.max(0, Math.floor(Math.min(majorFrom, majorTo) - margin));
+    const lastMajor = Math.min(majorSize - 1, Math.ceil(Math.max(majorFrom, majorTo) + margin));
+    let count = 0;
+
+    for (let major = firstMajor; major <= lastMajor; major++) {
+      const majorOffset = major + 0.5 - majorFrom;
+      const center = minorFrom + majorOffset * slope;
+      const firstMinor = Math.max(0, Math.floor(center - 0.5 - reach));
+      const lastMinor = Math.min(minorSize - 1, Math.ceil(center - 0.5 + reach));
+
+      for (let minor = firstMinor; minor <= lastMinor; minor++) {
+        const across = Math.abs(minor + 0.5 - center) * cosine;
+        const along = majorOffset * majorDirection + (minor + 0.5 - minorFrom) * minorDirection;
+        const acrossCoverage = Math.min(across + 0.5, halfWidth) - Math.max(across - 0.5, -halfWidth);
+        const alongCoverage = Math.min(along + 0.5, length) - Math.max(along - 0.5, 0);
+
+        if (acrossCoverage > 0 && alongCoverage > 0) {
+          const coverage = Math.round(255 * Math.min(1, acrossCoverage * alongCoverage));
+          if (coverage > 0) {
+            output[count++] = (major * majorStride + minor * minorStride) * 256 + coverage;
+          }
+        }
+      }
     }
 
-    context.strokeStyle = `rgba(${255 * channels.r}, ${255 * channels.g}, ${255 * channels.b}, ${opacity})`;
+    return count;
   }
-}
-
-ThreadingSingle.TWO_PI = Math.PI * 2;
-ThreadingSingle.MIN_SEGMENT_DISTANCE = ThreadingSingle.TWO_PI / 16;
+};
 
-ThreadingSingle.ThreadBase = class {
-  constructor() {
-    this.sampleCanvas = null;
+// Image comparisons for the perceptual error, on planes of one value per pixel
+ThreadingSingle.Perception = class {
+  // Detail finer than this angle is treated as blurred together by the eye
+  static VIEWING_BLUR_ARCMIN = 3;
+  static SSIM_SIGMA = 1.5;
+  static HEATMAP_COLUMNS = 8;
+
+  // Standard deviation of the viewing blur in pixels, for an image widthPixels wide over frameWidthMm
+  static viewingBlurSigma(distanceMm, frameWidthMm, widthPixels) {
+    const angle = ((ThreadingSingle.Perception.VIEWING_BLUR_ARCMIN / 60) * Math.PI) / 180;
+    return (distanceMm * Math.tan(angle) * widthPixels) / frameWidthMm;
   }
 
-  static lowerNbSegmentsForThread(thread, nbSegments) {
-    thread.length = nbSegments > 0 ? Math.min(thread.length, nbSegments + 1) : 0;
-  }
+  static gaussianBlur(plane, width, height, sigma) {
+    if (!(sigma > 0.25)) {
+      return Float64Array.from(plane);
+    }
 
-  static computeNbSegments(thread) {
-    return thread.length > 1 ? thread.length - 1 : 0;
-  }
+    const radius = Math.ceil(3 * sigma);
+    const kernel = new Float64Array(2 * radius + 1).map((_, i) => Math.exp(-((i - radius) ** 2) / (2 * sigma * sigma)));
+    const total = kernel.reduce((sum, value) => sum + value, 0);
+    kernel.forEach((value, i) => {
+      kernel[i] = value / total;
+    });
 
-  static iterateOnThread(thread, color, fromIndex, callback) {
-    if (fromIndex < ThreadingSingle.ThreadBase.computeNbSegments(thread)) {
-      callback(thread.slice(fromIndex), color);
+    // Rows one pixel at a time, then columns a whole row at a time to read the plane in order; edges are clamped
+    const horizontal = new Float64Array(plane.length);
+    for (let y = 0; y < height; y++) {
+      const row = y * width;
+      for (let x = 0; x < width; x++) {
+        let sum = 0;
+        for (let k = 0; k < kernel.length; k++) {
+          sum += kernel[k] * plane[row + ThreadingSingle.clamp(x + k - radius, 0, width - 1)];
+        }
+        horizontal[row + x] = sum;
+      }
     }
-  }
-};
 
-ThreadingSingle.ThreadMonochrome = class extends ThreadingSingle.ThreadBase {
-  constructor() {
-    super();
-    this.threadPegs = [];
-  }
+    const result = new Float64Array(plane.length);
+    for (let y = 0; y < height; y++) {
+      const row = y * width;
+      for (let k = 0; k < kernel.length; k++) {
+        const weight = kernel[k];
+        const source = ThreadingSingle.clamp(y + k - radius, 0, height - 1) * width;
+        for (let x = 0; x < width; x++) {
+          result[row + x] += weight * horizontal[source + x];
+        }
+      }
+    }
 
-  get totalNbSegments() {
-    return ThreadingSingle.ThreadBase.computeNbSegments(this.threadPegs);
+    return result;
   }
 
-  lowerNbSegments(nbSegments) {
-    ThreadingSingle.ThreadBase.lowerNbSegmentsForThread(this.threadPegs, nbSegments);
-  }
+  // Mean structural similarity of two planes of values from 0 to 255, with a Gaussian window
+  static ssim(x, y, width, height, weights = null) {
+    const sigma = ThreadingSingle.Perception.SSIM_SIGMA;
+    const blur = (plane) => ThreadingSingle.Perception.gaussianBlur(plane, width, height, sigma);
+    const product = (a, b) => a.map((value, i) => value * b[i]);
+    const c1 = (0.01 * 255) ** 2;
+    const c2 = (0.03 * 255) ** 2;
+
+    const meanX = blur(x);
+    const meanY = blur(y);
+    const squareX = blur(product(x, x));
+    const squareY = blur(product(y, y));
+    const crossed = blur(product(x, y));
+    const similarity = new Float64Array(x.length);
+
+    for (let i = 0; i < x.length; i++) {
+      const varianceX = squareX[i] - meanX[i] * meanX[i];
+      const varianceY = squareY[i] - meanY[i] * meanY[i];
+      const covariance = crossed[i] - meanX[i] * meanY[i];
+      similarity[i] =
+        ((2 * meanX[i] * meanY[i] + c1) * (2 * covariance + c2)) /
+        ((meanX[i] * meanX[i] + meanY[i] * meanY[i] + c1) * (varianceX + varianceY + c2));
+    }
 
-  iterateOnThreads(fromIndex, callback) {
-    ThreadingSingle.ThreadBase.iterateOnThread(
-      this.threadPegs,
-      ThreadingSingle.EColor.MONOCHROME,
-      fromIndex,
-      callback
-    );
+    return ThreadingSingle.Perception.weightedMean(similarity, weights);
   }
 
-  getThreadToGrow() {
-    return { thread: this.threadPegs, color: ThreadingSingle.EColor.MONOCHROME };
+  // Mean of the plane over a grid of columns × rows regions, row by row; rows follow the aspect ratio
+  static regionAverages(plane, width, height, weights = null, columns = ThreadingSingle.Perception.HEATMAP_COLUMNS) {
+    const rows = Math.max(1, Math.round((columns * height) / width));
+    const sums = new Float64Array(columns * rows);
+    const totals = new Float64Array(columns * rows);
+
+    for (let y = 0; y < height; y++) {
+      const row = Math.min(rows - 1, Math.floor((y * rows) / height));
+      for (let x = 0; x < width; x++) {
+        const region = row * columns + Math.min(columns - 1, Math.floor((x * columns) / width));
+        const weight = weights === null ? 1 : weights[y * width + x];
+        sums[region] += weight * plane[y * width + x];
+        totals[region] += weight;
+      }
+    }
+
+    return { columns, rows, values: Array.from(sums, (sum, region) => (totals[region] ? sum / totals[region] : 0)) };
   }
 
-  adjustCanvasData(data, invertColors) {
-    const normalize = invertColors ? (value) => (255 - value) / 2 : (value) => value / 2;
-    const pixels = data.length / 4;
+  static weightedMean(plane, weights = null) {
+    let sum = 0;
+    let total = 0;
 
-    for (let i = 0; i < pixels; i++) {
-      const average = normalize((data[4 * i + 0] + data[4 * i + 1] + data[4 * i + 2]) / 3);
-      data[4 * i + 0] = average;
-      data[4 * i + 1] = average;
-      data[4 * i + 2] = average;
+    for (let i = 0; i < plane.length; i++) {
+      const weight = weights === null ? 1 : weights[i];
+      sum += weight * plane[i];
+      total += weight;
     }
-  }
 
-  enableSamplingFor() {
-    if (this.sampleCanvas === null) {
-      this.sampleCanvas = (data, offset) => data[offset + 0];
-    }
+    return total ? sum / total : 0;
   }
 };
 
-ThreadingSingle.ThreadRedBlueGreen = class extends ThreadingSingle.ThreadBase {
-  constructor() {
-    super();
-    this.threadPegsRed = [];
-    this.threadPegsGreen = [];
-    this.threadPegsBlue = [];
+// Image adjustments applied to the crop before adjustCanvasData, in place on RGBA data. Every step is skipped
+// at its neutral value, and the order is fixed: lighting, tones, histogram, detail, then the vignette.
+ThreadingSingle.Preprocessor = class {
+  static DEFAULTS = Object.freeze({
+    flattenBackground: 0, // 0 to 1, removes uneven lighting and large background shapes
+    brightness: 0, // -1 to 1
+    contrast: 0, // -1 to 1
+    gamma: 1, // 0.2 to 5, above 1 lightens the mid tones
+    equalize: false, // luminance histogram equalisation
+    sharpen: 0, // 0 to 3, unsharp mask amount
+    edges: 0, // 0 to 1, pulls the outlines towards the thread colour
+    vignette: 0, // 0 to 1, part of the frame that fades to the board colour towards its edge
+  });
 
-    this.frequencyRed = 1 / 3;
-    this.frequencyGreen = 1 / 3;
-    this.frequencyBlue = 1 / 3;
+  static isNeutral(options) {
+    const settings = { ...ThreadingSingle.Preprocessor.DEFAULTS, ...options };
+    return Object.keys(ThreadingSingle.Preprocessor.DEFAULTS).every(
+      (key) => settings[key] === ThreadingSingle.Preprocessor.DEFAULTS[key]
+    );
   }
 
-  get totalNbSegments() {
-    return (
-      ThreadingSingle.ThreadBase.computeNbSegments(this.threadPegsRed) +
-      ThreadingSingle.ThreadBase.computeNbSegments(this.threadPegsGreen) +
-      ThreadingSingle.ThreadBase.computeNbSegments(this.threadPegsBlue)
-    );
+  // background is the board colour, with channels from 0 to 1; the thread colour is taken as its opposite
+  static apply(data, width, height, options = {}, { frameShape = "circle", background = { r: 1, g: 1, b: 1 } } = {}) {
+    const settings = { ...ThreadingSingle.Preprocessor.DEFAULTS, ...options };
+    const Preprocessor = ThreadingSingle.Preprocessor;
+    const board = [255 * background.r, 255 * background.g, 255 * background.b];
+    const planes = [0, 1, 2].map((channel) => {
+      const plane = new Float32Array(width * height);
+      for (let i = 0; i < plane.length; i++) {
+        plane[i] = data[4 * i + channel];
+      }
+      return plane;
+    });
+
+    if (settings.flattenBackground > 0) {
+      Preprocessor.flatten(planes, width, height, settings.flattenBackground);
+    }
+    if (settings.brightness !== 0 || settings.contrast !== 0 || settings.gamma !== 1) {
+      Preprocessor.applyTones(planes, settings.brightness, settings.contrast, settings.gamma);
+    }
+    if (settings.equalize) {
+      Preprocessor.equalize(planes);
+    }
+    if (settings.sharpen > 0) {
+      Preprocessor.sharpen(planes, width, height, settings.sharpen);
+    }
+    if (settings.edges > 0) {
+      Preprocessor.enhanceEdges(planes, width, height, settings.edges, board);
+    }
+    if (settings.vignette > 0) {
+      Preprocessor.vignette(planes, width, height, settings.vignette, frameShape, board);
+    }
+
+    planes.forEach((plane, channel) => {
+      for (let i = 0; i < plane.length; i++) {
+        data[4 * i + channel] = ThreadingSingle.clamp(Math.round(plane[i]), 0, 255);
+      }
+    });
   }
 
-  lowerNbSegments(nbSegments) {
-    const repartition = this.computeIdealSegmentsRepartition(nbSegments);
-    ThreadingSingle.ThreadBase.lowerNbSegmentsForThread(this.threadPegsRed, repartition.red);
-    ThreadingSingle.ThreadBase.lowerNbSegmentsForThread(this.threadPegsGreen, repartition.green);
-    ThreadingSingle.ThreadBase.lowerNbSegmentsForThread(this.threadPegsBlue, repartition.blue);
+  // Subtracts the low frequencies around their mean
+  static flatten(planes, width, height, amount) {
+    const radius = Math.max(1, Math.round(Math.max(width, height) / 8));
+
+    for (const plane of planes) {
+      const low = ThreadingSingle.Preprocessor.blur(plane, width, height, radius);
+      const mean = plane.reduce((sum, value) => sum + value, 0) / plane.length;
+      for (let i = 0; i < plane.length; i++) {
+        plane[i] += amount * (mean - low[i]);
+      }
+    }
   }
 
-  iterateOnThreads(fromIndex, callback) {
-    const repartition = this.computeIdealSegmentsRepartition(fromIndex);
-    ThreadingSingle.ThreadBase.iterateOnThread(this.threadPegsRed, ThreadingSingle.EColor.RED, repartition.red, callback);
-    ThreadingSingle.ThreadBase.iterateOnThread(
-      this.threadPegsGreen,
-      ThreadingSingle.EColor.GREEN,
-      repartition.green,
-      callback
-    );
-    ThreadingSingle.ThreadBase.iterateOnThread(
-      this.threadPegsBlue,
-      ThreadingSingle.EColor.BLUE,
-      repartition.blue,
-      callback
-    );
+  static applyTones(planes, brightness, contrast, gamma) {
+    const factor = Math.tan(((ThreadingSingle.clamp(contrast, -1, 0.98) + 1) * Math.PI) / 4);
+    const curve = new Float32Array(256);
+
+    for (let value = 0; value < 256; value++) {
+      const toned = ThreadingSingle.clamp((value / 255 - 0.5) * factor + 0.5 + brightness, 0, 1);
+      curve[value] = 255 * toned ** (1 / gamma);
+    }
+
+    for (const plane of planes) {
+      for (let i = 0; i < plane.length; i++) {
+        plane[i] = curve[ThreadingSingle.clamp(Math.round(plane[i]), 0, 255)];
+      }
+    }
   }
 
-  getThreadToGrow() {
-    const target = this.computeIdealSegmentsRepartition(this.totalNbSegments + 1);
+  // Equalises the luminance and shifts the three channels by the same amount to keep the hues
+  static equalize(planes) {
+    const [r, g, b] = planes;
+    const luminance = new Uint8Array(r.length);
+    const histogram = new Uint32Array(256);
 
-    if (target.red > 0 && this.threadPegsRed.length < target.red + 1) {
-      return { thread: this.threadPegsRed, color: ThreadingSingle.EColor.RED };
+    for (let i = 0; i < r.length; i++) {
+      luminance[i] = ThreadingSingle.clamp(Math.round(0.299 * r[i] + 0.587 * g[i] + 0.114 * b[i]), 0, 255);
+      histogram[luminance[i]]++;
     }
 
-    if (target.green > 0 && this.threadPegsGreen.length < target.green + 1) {
-      return { thread: this.threadPegsGreen, color: ThreadingSingle.EColor.GREEN };
+    const cumulative = new Uint32Array(256);
+    let total = 0;
+    for (let value = 0; value < 256; value++) {
+      total += histogram[value];
+      cumulative[value] = total;
     }
 
-    return { thread: this.threadPegsBlue, color: ThreadingSingle.EColor.BLUE };
-  }
+    const lowest = cumulative.find((count) => count > 0);
+    if (total === lowest) {
+      return;
+    }
 
-  adjustCanvasData(data, invertColors) {
-    let sumRed = 0;
-    let sumGreen = 0;
-    let sumBlue = 0;
+    for (let i = 0; i < r.length; i++) {
+      const equalized = (255 * (cumulative[luminance[i]] - lowest)) / (total - lowest);
+      const shift = equalized - luminance[i];
+      r[i] += shift;
+      g[i] += shift;
+      b[i] += shift;
+    }
+  }
 
-    const normalize = invertColors ? (value) => (255 - value) / 2 : (value) => value / 2;
-    const pixels = data.length / 4;
+  static sharpen(planes, width, height, amount) {
+    for (const plane of planes) {
+      const blurred = ThreadingSingle.Preprocessor.blur(plane, width, height, 1);
+      for (let i = 0; i < plane.length; i++) {
+        plane[i] += amount * (plane[i] - blurred[i]);
+      }
+    }
+  }
 
-    for (let i = 0; i < pixels; i++) {
-      sumRed += data[4 * i + 0];
-      sumGreen += data[4 * i + 1];
-      sumBlue += data[4 * i + 2];
+  // Sobel gradient of the luminance, normalised by its maximum
+  static enhanceEdges(planes, width, height, amount, board) {
+    const [r, g, b] = planes;
+    const luminance = new Float32Array(r.length);
+    for (let i = 0; i < r.length; i++) {
+      luminance[i] = 0.299 * r[i] + 0.587 * g[i] + 0.114 * b[i];
+    }
 
-      data[4 * i + 0] = normalize(data[4 * i + 0]);
-      data[4 * i + 1] = normalize(data[4 * i + 1]);
-      data[4 * i + 2] = normalize(data[4 * i + 2]);
+    const at = (x, y) =>
+      luminance[ThreadingSingle.clamp(y, 0, height - 1) * width + ThreadingSingle.clamp(x, 0, width - 1)];
+    const gradient = new Float32Array(r.length);
+    let maximum = 0;
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const right = at(x + 1, y - 1) + 2 * at(x + 1, y) + at(x + 1, y + 1);
+        const left = at(x - 1, y - 1) + 2 * at(x - 1, y) + at(x - 1, y + 1);
+        const bottom = at(x - 1, y + 1) + 2 * at(x, y + 1) + at(x + 1, y + 1);
+        const top = at(x - 1, y - 1) + 2 * at(x, y - 1) + at(x + 1, y - 1);
+        const gx = right - left;
+        const gy = bottom - top;
+        gradient[y * width + x] = Math.hypot(gx, gy);
+        maximum = Math.max(maximum, gradient[y * width + x]);
+      }
     }
 
-    if (!invertColors) {
-      sumRed = 255 * pixels - sumRed;
-      sumGreen = 255 * pixels - sumGreen;
-      sumBlue = 255 * pixels - sumBlue;
+    if (maximum === 0) {
+      return;
     }
 
-    const total = sumRed + sumGreen + sumBlue || 1;
+    planes.forEach((plane, channel) => {
+      const thread = 255 - board[channel];
+      for (let i = 0; i < plane.length; i++) {
+        plane[i] = ThreadingSingle.lerp(plane[i], thread, (amount * gradient[i]) / maximum);
+      }
+    });
+  }
 
-    this.frequencyRed = sumRed / total;
-    this.frequencyGreen = sumGreen / total;
-    this.frequencyBlue = sumBlue / total;
+  // Distance to the centre is 1 on the edge of the frame: the circle, or the rectangle of the other shapes
+  static vignette(planes, width, height, amount, frameShape, board) {
+    const start = 1 - ThreadingSingle.clamp(amount, 0, 1);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const dx = (x + 0.5 - width / 2) / (width / 2);
+        const dy = (y + 0.5 - height / 2) / (height / 2);
+        const distance = frameShape === "circle" ? Math.hypot(dx, dy) : Math.max(Math.abs(dx), Math.abs(dy));
+        const t = ThreadingSingle.clamp((distance - start) / (1 - start || 1), 0, 1);
+        const fade = t * t * (3 - 2 * t);
+
+        planes.forEach((plane, channel) => {
+          plane[y * width + x] = ThreadingSingle.lerp(plane[y * width + x], board[channel], fade);
+        });
+      }
+    }
   }
 
-  enableSamplingFor(color) {
-    const offset = color === ThreadingSingle.EColor.RED ? 0 : color === ThreadingSingle.EColor.GREEN ? 1 : 2;
-    this.sampleCanvas = (data, index) => data[index + offset];
+  // Two passes of a separable box blur, close to a gaussian
+  static blur(plane, width, height, radius) {
+    let result = plane;
+
+    for (let pass = 0; pass < 2; pass++) {
+      result = ThreadingSingle.Preprocessor.boxBlur(result, width, height, radius, 1, width);
+      result = ThreadingSingle.Preprocessor.boxBlur(result, height, width, radius, width, 1);
+    }
+
+    return result;
   }
 
-  computeIdealSegmentsRepartition(count) {
-    const targetRed = count * this.frequencyRed;
-    const targetGreen = count * this.frequencyGreen;
-    const targetBlue = count * this.frequencyBlue;
+  // Blurs along lines of the given length, stepping by stride within a line and lineStride between lines
+  static boxBlur(plane, length, lines, radius, stride, lineStride) {
+    const result = new Float32Array(plane.length);
+    const size = 2 * radius + 1;
 
-    const repartition = {
-      red: Math.floor(targetRed),
-      green: Math.floor(targetGreen),
-      blue: Math.floor(targetBlue),
-    };
+    for (let line = 0; line < lines; line++) {
+      const base = line * lineStride;
+      const at = (i) => plane[base + ThreadingSingle.clamp(i, 0, length - 1) * stride];
+      let sum = 0;
 
-    while (repartition.red + repartition.green + repartition.blue < count) {
-      const total = Math.max(1, repartition.red + repartition.green + repartition.blue);
-      const deltaRed = targetRed - repartition.red / total;
-      const deltaGreen = targetGreen - repartition.green / total;
-      const deltaBlue = targetBlue - repartition.blue / total;
+      for (let i = -radius; i <= radius; i++) {
+        sum += at(i);
+      }
 
-      if (deltaRed >= deltaGreen && deltaRed >= deltaBlue) {
-        repartition.red++;
-      } else if (deltaGreen >= deltaRed && deltaGreen >= deltaBlue) {
-        repartition.green++;
-      } else {
-        repartition.blue++;
+      for (let i = 0; i < length; i++) {
+        result[base + i * stride] = sum / size;
+        sum += at(i + radius + 1) - at(i - radius);
       }
     }
 
-    return repartition;
+    return result;
   }
 };
 
 ThreadingSingle.Transformation = class {
-  constructor(destinationSize, sourceCanvas) {
-    const scaleX = destinationSize.width / sourceCanvas.width;
-    const scaleY = destinationSize.height / sourceCanvas.height;
+  constructor(destinationSize, sourceCanvas, margin = 0) {
+    const scaleX = (destinationSize.width - 2 * margin) / sourceCanvas.width;
+    const scaleY = (destinationSize.height - 2 * margin) / sourceCanvas.height;
 
     this.scaling = Math.min(scaleX, scaleY);
     this.origin = {
@@ -730,4 +2954,153 @@ ThreadingSingle.Transformation = class {
   }
 };
 
-window.ThreadingSingle = ThreadingSingle;
+ThreadingSingle.CanvasPlotter = class {
+  constructor(context, margin = 0) {
+    this.context = context;
+    this.margin = margin;
+  }
+
+  get size() {
+    return { width: this.context.canvas.width, height: this.context.canvas.height };
+  }
+
+  clear(color) {
+    this.context.fillStyle = color;
+    this.context.fillRect(0, 0, this.context.canvas.width, this.context.canvas.height);
+  }
+
+  drawBrokenLine(points, color, opacity, operation, thickness) {
+    ThreadingSingle.applyCanvasCompositing(this.context, color, opacity, operation);
+    this.context.lineWidth = thickness;
+    this.context.lineCap = "round";
+
+    for (let i = 0; i < points.length - 1; i++) {
+      this.context.beginPath();
+      this.context.moveTo(points[i].x, points[i].y);
+      this.context.lineTo(points[i + 1].x, points[i + 1].y);
+      this.context.stroke();
+    }
+
+    ThreadingSingle.resetCanvasCompositing(this.context);
+  }
+
+  drawPoints(points, color, radius) {
+    this.context.fillStyle = color;
+    for (const point of points) {
+      this.context.beginPath();
+      this.context.arc(point.x, point.y, radius, 0, Math.PI * 2);
+      this.context.fill();
+    }
+  }
+
+  fillRectangle(from, to, color, opacity) {
+    this.context.globalAlpha = opacity;
+    this.context.fillStyle = color;
+    this.context.fillRect(from.x, from.y, to.x - from.x, to.y - from.y);
+    this.context.globalAlpha = 1;
+  }
+
+  drawText(text, point, fontSize, color) {
+    this.context.fillStyle = color;
+    this.context.font = `${fontSize}px sans-serif`;
+    this.context.textAlign = "center";
+    this.context.textBaseline = "middle";
+    this.context.fillText(text, point.x, point.y);
+  }
+};
+
+// Same interface as CanvasPlotter, producing an SVG document. Every segment is its own element so that
+// overlapping strokes accumulate opacity the way they do on a canvas.
+ThreadingSingle.SvgPlotter = class {
+  constructor(width, height, margin = 0, unit = "") {
+    this.width = width;
+    this.height = height;
+    this.margin = margin;
+    this.unit = unit;
+    this.elements = [];
+  }
+
+  get size() {
+    return { width: this.width, height: this.height };
+  }
+
+  clear(color) {
+    const { x: width, y: height } = ThreadingSingle.SvgPlotter.formatPoint({ x: this.width, y: this.height });
+    this.elements = [`<rect width="${width}" height="${height}" fill="${color}"/>`];
+  }
+
+  drawBrokenLine(points, color, opacity, operation, thickness) {
+    const channels = ThreadingSingle.rawColorChannels(color);
+
+    if (operation === ThreadingSingle.ECompositingOperation.DARKEN) {
+      channels.r = 1 - channels.r;
+      channels.g = 1 - channels.g;
+      channels.b = 1 - channels.b;
+    }
+
+    const lines = [];
+    for (let i = 0; i < points.length - 1; i++) {
+      const from = ThreadingSingle.SvgPlotter.formatPoint(points[i]);
+      const to = ThreadingSingle.SvgPlotter.formatPoint(points[i + 1]);
+      lines.push(`<line x1="${from.x}" y1="${from.y}" x2="${to.x}" y2="${to.y}"/>`);
+    }
+
+    this.elements.push(
+      `<g fill="none" stroke="${ThreadingSingle.colorToCss(channels)}" stroke-opacity="${opacity}" ` +
+        `stroke-width="${+thickness.toFixed(4)}" stroke-linecap="round">`,
+      ...lines,
+      "</g>"
+    );
+  }
+
+  drawPoints(points, color, radius) {
+    this.elements.push(`<g fill="${color}">`);
+    for (const point of points) {
+      const { x, y } = ThreadingSingle.SvgPlotter.formatPoint(point);
+      this.elements.push(`<circle cx="${x}" cy="${y}" r="${+radius.toFixed(3)}"/>`);
+    }
+    this.elements.push("</g>");
+  }
+
+  fillRectangle(from, to, color, opacity) {
+    const corner = ThreadingSingle.SvgPlotter.formatPoint(from);
+    const size = ThreadingSingle.SvgPlotter.formatPoint({ x: to.x - from.x, y: to.y - from.y });
+    this.elements.push(
+      `<rect x="${corner.x}" y="${corner.y}" width="${size.x}" height="${size.y}" fill="${color}" ` +
+        `fill-opacity="${+opacity.toFixed(3)}"/>`
+    );
+  }
+
+  drawText(text, point, fontSize, color) {
+    const { x, y } = ThreadingSingle.SvgPlotter.formatPoint(point);
+    this.elements.push(
+      `<text x="${x}" y="${y}" font-size="${+fontSize.toFixed(3)}" font-family="sans-serif" fill="${color}" ` +
+        `text-anchor="middle" dominant-baseline="central">${ThreadingSingle.SvgPlotter.escape(text)}</text>`
+    );
+  }
+
+  toString() {
+    const { x: width, y: height } = ThreadingSingle.SvgPlotter.formatPoint({ x: this.width, y: this.height });
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}${this.unit}" height="${height}${this.unit}" ` +
+        `viewBox="0 0 ${width} ${height}">`,
+      ...this.elements,
+      "</svg>",
+      "",
+    ].join("\n");
+  }
+
+  static formatPoint(point) {
+    return { x: +point.x.toFixed(3), y: +point.y.toFixed(3) };
+  }
+
+  static escape(text) {
+    return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  }
+};
+
+globalThis.ThreadingSingle = ThreadingSingle;
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ThreadingSingle;
+}
@@ -0,0 +1,149 @@
+importScripts("./threadingSingle.js");
+
+const STEP_DURATION_MS = 50;
+const REFINE_STEP_DURATION_MS = 500;
+
+let threading = null;
+let timer = null;
+// { deadline, before, after, moves } while refining
+let refinement = null;
+let paused = false;
+// Whether the progress messages carry the residual map of the hidden canvas, for the comparison view
+let residual = false;
+
+function postProgress(type, extra = {}) {
+  self.postMessage({
+    type,
+    nbSegments: threading.nbSegments,
+    // nbLines is lowered when a convergence stop ends the growth early
+    nbLines: threading.parameters.nbLines,
+    error: threading.error,
+    perceptualError: threading.perceptualError,
+    errorHistory: threading.errorHistory,
+    thread: threading.exportThread(),
+    residual: residual ? threading.computeResidualMap() : null,
+    ...extra,
+  });
+}
+
+function schedule() {
+  if (timer === null && !paused) {
+    timer = setTimeout(step, 0);
+  }
+}
+
+function step() {
+  timer = null;
+
+  if (!threading) {
+    return;
+  }
+
+  // Reported as the errors of the messages are, and the steps stop: the page ends the run
+  try {
+    if (refinement) {
+      refineStep();
+      return;
+    }
+
+    if (threading.computeNextSegments(STEP_DURATION_MS)) {
+      postProgress("progress");
+    }
+
+    if (threading.nbSegments === threading.parameters.nbLines) {
+      postProgress("done");
+      return;
+    }
+
+    schedule();
+  } catch (e) {
+    refinement = null;
+    self.postMessage({ type: "error", message: e.message });
+  }
+}
+
+function refineStep() {
+  const remaining = refinement.deadline - Date.now();
+  const report = threading.refine(Math.max(0, Math.min(REFINE_STEP_DURATION_MS, remaining)));
+  refinement.after = report.after;
+  refinement.moves += report.moves;
+
+  const { before, after, moves } = refinement;
+  if (report.converged || remaining <= REFINE_STEP_DURATION_MS) {
+    refinement = null;
+    postProgress("refined", { refinement: { before, after, moves, converged: report.converged } });
+    return;
+  }
+
+  postProgress("refine-progress", { refinement: { before, after, moves, converged: false } });
+  schedule();
+}
+
+self.onmessage = (event) => {
+  const message = event.data;
+
+  try {
+    switch (message.type) {
+      case "start":
+        threading = new ThreadingSingle(message.source, message.options);
+        // Continue from a restored state instead of starting from scratch
+        if (message.thread) {
+          threading.importThread(message.thread);
+        }
+        schedule();
+        break;
+      case "configure":
+        threading.configure(message.overrides);
+        schedule();
+        break;
+      // Above the current segments the thread grows from where it is, below it is trimmed
+      case "lines":
+        threading.parameters.nbLines = message.nbLines;
+        postProgress("progress");
+        schedule();
+        break;
+      // Cancels the growth: the segments made so far are the result, whatever the page has been sent of them
+      case "finish":
+        threading.parameters.nbLines = Math.min(threading.parameters.nbLines, threading.nbSegments);
+        clearTimeout(timer);
+        timer = null;
+        postProgress("done");
+        break;
+      case "restyle":
+        threading.restyle(message.overrides);
+        postProgress("progress");
+        schedule();
+        break;
+      case "refine":
+        refinement = { deadline: Date.now() + message.durationMs, before: threading.error, after: null, moves: 0 };
+        schedule();
+        break;
+      case "pause":
+        paused = true;
+        clearTimeout(timer);
+        timer = null;
+        break;
+      case "resume":
+        paused = false;
+        schedule();
+        break;
+      case "metrics":
+        threading.setViewingConditions(message.conditions);
+        postProgress("metrics");
+        break;
+      case "residual":
+        residual = message.enabled;
+        if (threading) {
+          postProgress("metrics");
+        }
+        break;
+      case "stop":
+        threading = null;
+        break;
+      default:
+        throw new Error(`Unknown message type: ${message.type}`);
+    }
+  } catch (e) {
+    self.postMessage({ type: "error", message: e.message });
+  }
+};